@@ -1,9 +1,21 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
 import { applyFixes } from "markdownlint";
+import helpers from "markdownlint/helpers";
 import {
 	CodeAction,
 	CodeActionKind,
+	CreateFile,
+	TextDocumentEdit,
 	TextEdit,
 } from "vscode-languageserver/node.js";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import {
+	createDisableRuleConfig,
+	getDisableRuleEdits,
+} from "./config-edits.mjs";
+import { getInlineDirectiveRemoval } from "./inline-config.mjs";
+import { computeTextEdits } from "./text-diff.mjs";
 
 export class CodeActions {
 	#codec;
@@ -14,8 +26,33 @@ export class CodeActions {
 		this.#logger = logger;
 	}
 
-	build({ uri, document, params, diagnosticFixPairs, issues }) {
-		if (!diagnosticFixPairs || diagnosticFixPairs.length === 0) {
+	/**
+	 * Builds the code actions for a request.
+	 *
+	 * @param {object} params
+	 * @param {Function} params.loadConfigFile Resolves to the configuration
+	 * file that "Disable <rule> in <file>" actions edit, or null. Only called
+	 * when such an action is offered, and at most once.
+	 * @param {boolean} [params.inlineDirectives=true] Whether the document can
+	 * hold markdownlint's inline directives. When false (e.g. for issues in doc
+	 * comments, whose host is not Markdown), rules are only disabled in the
+	 * configuration file.
+	 * @returns {Promise<CodeAction[]>}
+	 */
+	async build({
+		uri,
+		document,
+		params,
+		diagnosticIssuePairs,
+		issues,
+		loadConfigFile,
+		unusedDirectives = [],
+		inlineDirectives = true,
+	}) {
+		if (
+			(!diagnosticIssuePairs || diagnosticIssuePairs.length === 0) &&
+			unusedDirectives.length === 0
+		) {
 			return [];
 		}
 
@@ -51,7 +88,7 @@ export class CodeActions {
 							),
 							original: diagnostic,
 						}))
-					: diagnosticFixPairs
+					: diagnosticIssuePairs
 							.filter((pair) =>
 								this.#rangesOverlap(pair.diagnostic.range, requestRange),
 							)
@@ -63,17 +100,48 @@ export class CodeActions {
 								),
 							}));
 
+			const disableRuleActions = [];
+			const disabledFileRules = new Set();
+			let configFilePromise = null;
 			for (const { converted, original } of requestedDiagnostics) {
-				const pair = this.#findDiagnosticFixPair(converted, diagnosticFixPairs);
+				const pair = this.#findDiagnosticIssuePair(
+					converted,
+					diagnosticIssuePairs,
+				);
 				if (!pair) {
 					continue;
 				}
 
-				const textEdit = this.#fixInfoToTextEdit(
-					pair.fixInfo,
-					pair.diagnostic,
-					document,
+				// Finding the configuration file walks and reads the file system,
+				// so it is only done for the first action that edits it.
+				if (
+					!configFilePromise &&
+					!disabledFileRules.has(pair.issue.ruleNames[0])
+				) {
+					configFilePromise = loadConfigFile();
+				}
+				const configFile = disabledFileRules.has(pair.issue.ruleNames[0])
+					? null
+					: await configFilePromise;
+				disableRuleActions.push(
+					...this.#buildDisableRuleActions(
+						uri,
+						document,
+						pair,
+						original,
+						configFile,
+						disabledFileRules,
+						inlineDirectives,
+					),
 				);
+
+				const textEdit = pair.issue.fixInfo
+					? this.#fixInfoToTextEdit(
+							pair.issue.fixInfo,
+							pair.diagnostic,
+							document,
+						)
+					: null;
 				if (!textEdit) {
 					continue;
 				}
@@ -90,34 +158,28 @@ export class CodeActions {
 				};
 				codeActions.push(codeAction);
 			}
+			codeActions.push(...disableRuleActions);
+			codeActions.push(
+				...this.#buildRemoveDirectiveActions(
+					uri,
+					document,
+					params,
+					requestRange,
+					unusedDirectives,
+				),
+			);
 		}
 
 		if (shouldProvideFixAll) {
 			const fixableIssues = issues.filter((issue) => issue.fixInfo);
-			if (fixableIssues.length > 0) {
-				const original = document.getText();
-				const fixed = applyFixes(original, fixableIssues);
-				if (fixed !== original) {
-					const fullRange = {
-						start: { line: 0, character: 0 },
-						end: document.positionAt(original.length),
-					};
-					const fixAllAction = CodeAction.create(
-						`Fix all auto-fixable markdownlint issues (${fixableIssues.length})`,
-						CodeActionKind.SourceFixAll,
-					);
-					fixAllAction.edit = {
-						changes: {
-							[uri]: [
-								this.#codec.convertTextEditFromUtf16(
-									TextEdit.replace(fullRange, fixed),
-									document,
-								),
-							],
-						},
-					};
-					codeActions.push(fixAllAction);
-				}
+			const edits = this.buildFixAllEdits(document, fixableIssues);
+			if (edits.length > 0) {
+				const fixAllAction = CodeAction.create(
+					`Fix all auto-fixable markdownlint issues (${fixableIssues.length})`,
+					CodeActionKind.SourceFixAll,
+				);
+				fixAllAction.edit = { changes: { [uri]: edits } };
+				codeActions.push(fixAllAction);
 			}
 		}
 
@@ -125,8 +187,274 @@ export class CodeActions {
 		return codeActions;
 	}
 
-	#findDiagnosticFixPair(requestedDiagnostic, diagnosticFixPairs) {
-		for (const pair of diagnosticFixPairs) {
+	/**
+	 * Applies every fixable issue and returns the minimal edits between the
+	 * original and fixed text, so unchanged regions (and the cursor or folding
+	 * state around them) are left alone by the client.
+	 *
+	 * @param {TextDocument} document The document the issues belong to.
+	 * @param {Object[]} issues markdownlint issues; ones without fixInfo are
+	 * ignored.
+	 * @param {Range} [range] Optional UTF-16 range; only fixes on lines within
+	 * it are applied.
+	 * @returns {TextEdit[]} Edits in the client's position encoding.
+	 */
+	buildFixAllEdits(document, issues, range) {
+		const fixableIssues = issues.filter(
+			(issue) =>
+				issue.fixInfo &&
+				(!range || this.#isFixInRange(issue.fixInfo, issue, range)),
+		);
+		if (fixableIssues.length === 0) {
+			return [];
+		}
+
+		const original = document.getText();
+		const fixed = applyFixes(original, fixableIssues);
+		return computeTextEdits(original, fixed).map(
+			({ offset, length, content }) =>
+				this.#codec.convertTextEditFromUtf16(
+					TextEdit.replace(
+						{
+							start: document.positionAt(offset),
+							end: document.positionAt(offset + length),
+						},
+						content,
+					),
+					document,
+				),
+		);
+	}
+
+	#buildRemoveDirectiveActions(
+		uri,
+		document,
+		params,
+		requestRange,
+		unusedDirectives,
+	) {
+		const requested =
+			params.context.diagnostics?.length > 0
+				? params.context.diagnostics.map((diagnostic) =>
+						this.#codec.convertDiagnosticToUtf16(diagnostic, document),
+					)
+				: null;
+		const text = document.getText();
+
+		return unusedDirectives
+			.filter(({ diagnostic }) =>
+				requested
+					? requested.some(
+							(candidate) =>
+								candidate.message === diagnostic.message &&
+								this.#rangesEqual(candidate.range, diagnostic.range),
+						)
+					: this.#rangesOverlap(diagnostic.range, requestRange),
+			)
+			.map(({ diagnostic, directive }) => {
+				const removal = getInlineDirectiveRemoval(text, directive);
+				const codeAction = CodeAction.create(
+					`Remove unused markdownlint-${directive.directive} directive`,
+					CodeActionKind.QuickFix,
+				);
+				codeAction.diagnostics = [
+					this.#codec.convertDiagnosticFromUtf16(diagnostic, document),
+				];
+				codeAction.edit = {
+					changes: {
+						[uri]: [
+							this.#codec.convertTextEditFromUtf16(
+								TextEdit.del({
+									start: document.positionAt(removal.offset),
+									end: document.positionAt(removal.offset + removal.length),
+								}),
+								document,
+							),
+						],
+					},
+				};
+				return codeAction;
+			});
+	}
+
+	#buildDisableRuleActions(
+		uri,
+		document,
+		pair,
+		original,
+		configFile,
+		disabledFileRules,
+		inlineDirectives,
+	) {
+		const ruleName = pair.issue.ruleNames[0];
+		if (!inlineDirectives) {
+			if (disabledFileRules.has(ruleName)) {
+				return [];
+			}
+			disabledFileRules.add(ruleName);
+			const configAction = this.#buildDisableInConfigAction(
+				pair.issue.ruleNames,
+				original,
+				configFile,
+			);
+			return configAction ? [configAction] : [];
+		}
+
+		const line = pair.diagnostic.range.start.line;
+		const lineText = this.#getLineText(document, line);
+		const indentation = lineText.match(/^\s*/)[0];
+		// Inserted lines end like the document's, as with applyFixes.
+		const eol = helpers.getPreferredLineEnding(document.getText());
+
+		const actions = [
+			this.#createDisableRuleAction(
+				uri,
+				document,
+				`Disable ${ruleName} for this line`,
+				original,
+				TextEdit.insert(
+					{ line, character: lineText.length },
+					` <!-- markdownlint-disable-line ${ruleName} -->`,
+				),
+			),
+			this.#createDisableRuleAction(
+				uri,
+				document,
+				`Disable ${ruleName} for the next line`,
+				original,
+				TextEdit.insert(
+					{ line, character: 0 },
+					`${indentation}<!-- markdownlint-disable-next-line ${ruleName} -->${eol}`,
+				),
+			),
+		];
+
+		if (!disabledFileRules.has(ruleName)) {
+			disabledFileRules.add(ruleName);
+			actions.push(
+				this.#createDisableRuleAction(
+					uri,
+					document,
+					`Disable ${ruleName} for this file`,
+					original,
+					TextEdit.insert(
+						{ line: this.#getFrontMatterLineCount(document), character: 0 },
+						`<!-- markdownlint-disable-file ${ruleName} -->${eol}`,
+					),
+				),
+			);
+
+			const configAction = this.#buildDisableInConfigAction(
+				pair.issue.ruleNames,
+				original,
+				configFile,
+			);
+			if (configAction) {
+				actions.push(configAction);
+			}
+		}
+
+		return actions;
+	}
+
+	#buildDisableInConfigAction(ruleNames, diagnostic, configFile) {
+		if (!configFile) {
+			return null;
+		}
+
+		const configUri = pathToFileURL(configFile.path).href;
+		const title = `Disable ${ruleNames[0]} in ${path
+			.relative(configFile.workspaceRoot, configFile.path)
+			.split(path.sep)
+			.join("/")}`;
+
+		if (configFile.content === null) {
+			const codeAction = CodeAction.create(title, CodeActionKind.QuickFix);
+			codeAction.diagnostics = [diagnostic];
+			codeAction.edit = {
+				documentChanges: [
+					CreateFile.create(configUri, { ignoreIfExists: true }),
+					TextDocumentEdit.create({ uri: configUri, version: null }, [
+						TextEdit.insert(
+							{ line: 0, character: 0 },
+							createDisableRuleConfig(ruleNames),
+						),
+					]),
+				],
+			};
+			return codeAction;
+		}
+
+		let edits;
+		try {
+			edits = getDisableRuleEdits(
+				configFile.path,
+				configFile.content,
+				ruleNames,
+			);
+		} catch (error) {
+			this.#logger(`Unable to edit ${configFile.path}: ${error}`);
+			return null;
+		}
+		if (!edits || edits.length === 0) {
+			this.#logger(`Skipping config action for ${configFile.path}`);
+			return null;
+		}
+
+		const configDocument = TextDocument.create(
+			configUri,
+			"json",
+			0,
+			configFile.content,
+		);
+		const codeAction = CodeAction.create(title, CodeActionKind.QuickFix);
+		codeAction.diagnostics = [diagnostic];
+		codeAction.edit = {
+			changes: {
+				[configUri]: edits.map((edit) =>
+					this.#codec.convertTextEditFromUtf16(
+						TextEdit.replace(
+							{
+								start: configDocument.positionAt(edit.offset),
+								end: configDocument.positionAt(edit.offset + edit.length),
+							},
+							edit.content,
+						),
+						configDocument,
+					),
+				),
+			},
+		};
+		return codeAction;
+	}
+
+	#createDisableRuleAction(uri, document, title, diagnostic, textEdit) {
+		const codeAction = CodeAction.create(title, CodeActionKind.QuickFix);
+		codeAction.diagnostics = [diagnostic];
+		codeAction.edit = {
+			changes: {
+				[uri]: [this.#codec.convertTextEditFromUtf16(textEdit, document)],
+			},
+		};
+		return codeAction;
+	}
+
+	// Inline configuration comments must follow front matter, which
+	// markdownlint strips before parsing.
+	#getFrontMatterLineCount(document) {
+		const match = document.getText().match(helpers.frontMatterRe);
+		if (match?.index !== 0) {
+			return 0;
+		}
+		const frontMatterLines = match[0].split(helpers.newLineRe);
+		if (frontMatterLines.at(-1) === "") {
+			frontMatterLines.pop();
+		}
+		return frontMatterLines.length;
+	}
+
+	#findDiagnosticIssuePair(requestedDiagnostic, diagnosticIssuePairs) {
+		for (const pair of diagnosticIssuePairs) {
 			const storedDiagnostic = pair.diagnostic;
 			if (
 				storedDiagnostic.range.start.line !==
@@ -150,6 +478,16 @@ export class CodeActions {
 		return null;
 	}
 
+	#isFixInRange(fixInfo, issue, range) {
+		const line = (fixInfo.lineNumber ?? issue.lineNumber) - 1;
+		// A selection ending at the start of a line does not include that line.
+		const endLine =
+			range.end.character === 0 && range.end.line > range.start.line
+				? range.end.line - 1
+				: range.end.line;
+		return line >= range.start.line && line <= endLine;
+	}
+
 	#fixInfoToTextEdit(fixInfo, diagnostic, document) {
 		const lineNumber = fixInfo.lineNumber
 			? fixInfo.lineNumber - 1
@@ -212,6 +550,15 @@ export class CodeActions {
 		});
 	}
 
+	#rangesEqual(range1, range2) {
+		return (
+			range1.start.line === range2.start.line &&
+			range1.start.character === range2.start.character &&
+			range1.end.line === range2.end.line &&
+			range1.end.character === range2.end.character
+		);
+	}
+
 	#rangesOverlap(range1, range2) {
 		if (
 			range1.end.line < range2.start.line ||
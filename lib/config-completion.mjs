@@ -0,0 +1,157 @@
+import { fileURLToPath } from "node:url";
+import {
+	CompletionItemKind,
+	MarkupKind,
+	TextEdit,
+} from "vscode-languageserver/node.js";
+import {
+	CLI2_OPTION_SCHEMAS,
+	describeConfigPath,
+	describeSchema,
+	findConfigPropertySchema,
+	getRuleParametersSchema,
+} from "./config-schema.mjs";
+import { getCompletionLocation } from "./config-syntax.mjs";
+import { getRuleNameEntries } from "./rule-metadata.mjs";
+
+const SPECIAL_CONFIG_KEYS = ["default", "extends", "$schema"];
+
+function getSchemaValues(schema) {
+	const values = (schema.oneOf ?? [schema]).flatMap(
+		(option) =>
+			option.enum ??
+			([option.type].flat().includes("boolean") ? [true, false] : []),
+	);
+	if (
+		values.length === 0 &&
+		schema.default !== undefined &&
+		typeof schema.default !== "object"
+	) {
+		values.push(schema.default);
+	}
+	return [...new Set(values)];
+}
+
+export class ConfigCompletion {
+	#codec;
+	#logger;
+
+	constructor({ codec, logger = () => {} }) {
+		this.#codec = codec;
+		this.#logger = logger;
+	}
+
+	build({ document, position }) {
+		const configPath = fileURLToPath(document.uri);
+		const offset = document.offsetAt(
+			this.#codec.convertPositionToUtf16(position, document),
+		);
+		const location = getCompletionLocation(
+			configPath,
+			document.getText(),
+			offset,
+		);
+		const target = location
+			? describeConfigPath(configPath, location.keyPath)
+			: null;
+		if (!target) {
+			return null;
+		}
+
+		const entries = location.isAtPropertyKey
+			? this.#getKeyEntries(target)
+			: this.#getValueEntries(target);
+		this.#logger(
+			`Completion in ${document.uri} at ${JSON.stringify(location.keyPath)}: ${entries.length} items`,
+		);
+		if (entries.length === 0) {
+			return null;
+		}
+
+		const range = this.#codec.convertRangeFromUtf16(
+			{
+				start: document.positionAt(location.range.offset),
+				end: document.positionAt(location.range.offset + location.range.length),
+			},
+			document,
+		);
+		return entries.map(
+			({ label, value, kind, detail, documentation }, index) => {
+				const newText =
+					location.isYaml && typeof value === "string"
+						? value
+						: JSON.stringify(value);
+				return {
+					label,
+					kind,
+					detail,
+					documentation: documentation && {
+						kind: MarkupKind.Markdown,
+						value: documentation,
+					},
+					sortText: String(index).padStart(4, "0"),
+					filterText: newText,
+					textEdit: TextEdit.replace(range, newText),
+				};
+			},
+		);
+	}
+
+	#getKeyEntries(target) {
+		switch (target.kind) {
+			case "rules":
+				return this.#getRuleKeyEntries();
+			case "rule":
+				return Object.entries(
+					getRuleParametersSchema(target.schema)?.properties ?? {},
+				).map(([name, schema]) =>
+					this.#createKeyEntry(name, describeSchema(schema), schema),
+				);
+			case "options":
+				return Object.entries(CLI2_OPTION_SCHEMAS).map(([name, schema]) =>
+					this.#createKeyEntry(name, describeSchema(schema), schema),
+				);
+			default:
+				return [];
+		}
+	}
+
+	#getRuleKeyEntries() {
+		const entries = getRuleNameEntries().map(
+			({ name, detail, documentation }) => ({
+				label: name,
+				value: name,
+				kind: CompletionItemKind.Property,
+				detail,
+				documentation,
+			}),
+		);
+		for (const key of SPECIAL_CONFIG_KEYS) {
+			entries.push(
+				this.#createKeyEntry(key, undefined, findConfigPropertySchema(key)),
+			);
+		}
+		return entries;
+	}
+
+	#createKeyEntry(name, detail, schema) {
+		return {
+			label: name,
+			value: name,
+			kind: CompletionItemKind.Property,
+			detail,
+			documentation: schema?.description,
+		};
+	}
+
+	#getValueEntries(target) {
+		if (!["rule", "parameter", "option"].includes(target.kind)) {
+			return [];
+		}
+		return getSchemaValues(target.schema).map((value) => ({
+			label: String(value),
+			value,
+			kind: CompletionItemKind.Value,
+		}));
+	}
+}
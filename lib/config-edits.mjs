@@ -0,0 +1,216 @@
+import path from "node:path";
+import { modify, parse } from "jsonc-parser";
+import { isMap, isScalar, parseDocument } from "yaml";
+import { MARKDOWNLINT_CLI2_CONFIG_FILENAMES } from "./config.mjs";
+
+export const DEFAULT_CONFIG_FILENAME = ".markdownlint.jsonc";
+
+const JSON_EXTENSIONS = [".json", ".jsonc"];
+const YAML_EXTENSIONS = [".yaml", ".yml"];
+const JS_EXTENSIONS = [".cjs", ".mjs"];
+
+/**
+ * Returns the key path of the object holding rules in a configuration file.
+ * Rules live at the top level of `.markdownlint.*` files and under `config`
+ * in markdownlint-cli2 options (nested below `markdownlint-cli2` in
+ * package.json).
+ *
+ * @param {string} configPath Path of the configuration file.
+ * @returns {string[]}
+ */
+export function getRuleContainerPath(configPath) {
+	const filename = path.basename(configPath);
+	if (filename === "package.json") {
+		return ["markdownlint-cli2", "config"];
+	}
+	if (MARKDOWNLINT_CLI2_CONFIG_FILENAMES.includes(filename)) {
+		return ["config"];
+	}
+	return [];
+}
+
+/**
+ * Determines whether a configuration file holds YAML rather than JSONC.
+ *
+ * @param {string} configPath Path of the configuration file.
+ * @param {string} content Content of the configuration file.
+ * @returns {boolean}
+ */
+export function isYamlConfig(configPath, content) {
+	const extension = path.extname(configPath);
+	if (YAML_EXTENSIONS.includes(extension)) {
+		return true;
+	}
+	if (
+		JSON_EXTENSIONS.includes(extension) ||
+		path.basename(configPath) === "package.json"
+	) {
+		return false;
+	}
+	// RC-style files may contain either JSON or YAML.
+	const errors = [];
+	parse(content, errors, { allowTrailingComma: true });
+	return errors.length > 0;
+}
+
+function findRuleKey(container, ruleNames) {
+	if (!container || typeof container !== "object") {
+		return ruleNames[0];
+	}
+	const upperNames = ruleNames.map((name) => name.toUpperCase());
+	return (
+		Object.keys(container).find((key) =>
+			upperNames.includes(key.toUpperCase()),
+		) ?? ruleNames[0]
+	);
+}
+
+function getValueAtPath(value, keyPath) {
+	return keyPath.reduce((current, key) => current?.[key], value);
+}
+
+function detectFormattingOptions(content) {
+	const indentation = content.match(/^[ \t]+(?=\S)/m)?.[0];
+	const insertSpaces = indentation ? !indentation.startsWith("\t") : false;
+	return {
+		insertSpaces,
+		tabSize: insertSpaces ? indentation.length : 1,
+		eol: content.includes("\r\n") ? "\r\n" : "\n",
+	};
+}
+
+function getJsoncEdits(content, containerPath, ruleNames) {
+	const container = getValueAtPath(
+		parse(content, [], { allowTrailingComma: true }),
+		containerPath,
+	);
+	const ruleKey = findRuleKey(container, ruleNames);
+	return modify(content, [...containerPath, ruleKey], false, {
+		formattingOptions: detectFormattingOptions(content),
+	});
+}
+
+function findYamlPair(map, matches) {
+	return map.items.find(
+		(pair) => isScalar(pair.key) && matches(String(pair.key.value)),
+	);
+}
+
+function getLineIndentation(content, offset) {
+	const lineStart = content.lastIndexOf("\n", offset - 1) + 1;
+	return content.slice(lineStart, offset);
+}
+
+// Edits YAML in place so the rest of the file keeps its formatting: the value
+// of a configured rule is replaced, and otherwise a `key: false` entry is
+// added at the end of the rule container, indented like its siblings.
+function getYamlEdits(content, containerPath, ruleNames) {
+	const document = parseDocument(content);
+	if (document.errors.length > 0) {
+		return null;
+	}
+	let container = document.contents;
+	let depth = 0;
+	while (depth < containerPath.length && isMap(container)) {
+		const pair = findYamlPair(container, (key) => key === containerPath[depth]);
+		if (!pair) {
+			break;
+		}
+		container = pair.value;
+		depth++;
+	}
+	if (container !== null && !isMap(container)) {
+		return null;
+	}
+
+	const upperNames = ruleNames.map((name) => name.toUpperCase());
+	const rulePair =
+		depth === containerPath.length && container
+			? findYamlPair(container, (key) => upperNames.includes(key.toUpperCase()))
+			: undefined;
+	if (rulePair) {
+		const start = rulePair.key.range[1];
+		let end;
+		if (rulePair.value && rulePair.value.range[1] > rulePair.value.range[0]) {
+			end = rulePair.value.range[1];
+			// Block collections end after their last line break.
+			while (end > start && "\r\n".includes(content[end - 1])) {
+				end--;
+			}
+		} else {
+			end = content.indexOf(":", start) + 1;
+		}
+		return [{ offset: start, length: end - start, content: ": false" }];
+	}
+
+	const keys = [...containerPath.slice(depth), ruleNames[0]];
+	if (container?.flow) {
+		const entry = keys
+			.slice(0, -1)
+			.reduceRight(
+				(inner, key) => `${key}: { ${inner} }`,
+				`${ruleNames[0]}: false`,
+			);
+		const lastPair = container.items.at(-1);
+		return lastPair
+			? [
+					{
+						offset: (lastPair.value ?? lastPair.key).range[1],
+						length: 0,
+						content: `, ${entry}`,
+					},
+				]
+			: [{ offset: container.range[1] - 1, length: 0, content: entry }];
+	}
+
+	const { eol, insertSpaces, tabSize } = detectFormattingOptions(content);
+	const indentUnit = " ".repeat(insertSpaces ? tabSize : 2);
+	const firstKey = container?.items[0]?.key;
+	const indentation = firstKey
+		? getLineIndentation(content, firstKey.range[0])
+		: "";
+	const lines = keys.map(
+		(key, index) =>
+			`${indentation}${indentUnit.repeat(index)}${key}:${
+				index === keys.length - 1 ? " false" : ""
+			}`,
+	);
+	const offset = container ? container.range[1] : content.length;
+	const separator = offset > 0 && content[offset - 1] !== "\n" ? eol : "";
+	return [
+		{ offset, length: 0, content: `${separator}${lines.join(eol)}${eol}` },
+	];
+}
+
+/**
+ * Computes the edits that turn a rule off in an existing configuration file,
+ * reusing the key of an alias that is already configured. JSONC comments and
+ * YAML formatting are preserved.
+ *
+ * @param {string} configPath Path of the configuration file.
+ * @param {string} content Current content of the configuration file.
+ * @param {string[]} ruleNames Rule name and aliases.
+ * @returns {Array<{offset: number, length: number, content: string}>|null}
+ * Offset-based edits, or null when the file cannot be edited (e.g.
+ * JavaScript configs or unparsable YAML).
+ */
+export function getDisableRuleEdits(configPath, content, ruleNames) {
+	if (JS_EXTENSIONS.includes(path.extname(configPath))) {
+		return null;
+	}
+	const containerPath = getRuleContainerPath(configPath);
+	return isYamlConfig(configPath, content)
+		? getYamlEdits(content, containerPath, ruleNames)
+		: getJsoncEdits(content, containerPath, ruleNames);
+}
+
+/**
+ * Returns the content of a new {@link DEFAULT_CONFIG_FILENAME} that turns a
+ * rule off.
+ *
+ * @param {string[]} ruleNames Rule name and aliases.
+ * @returns {string}
+ */
+export function createDisableRuleConfig(ruleNames) {
+	return `{\n\t"${ruleNames[0]}": false\n}\n`;
+}
@@ -0,0 +1,75 @@
+import fs from "node:fs";
+import path from "node:path";
+import { readConfig } from "markdownlint/promise";
+
+/**
+ * An error in the `extends` chain of a configuration file: an extended file
+ * that cannot be read or parsed, or a chain that extends itself.
+ */
+export class ConfigExtendsError extends Error {
+	/**
+	 * @param {string} message Error message.
+	 * @param {string[]} extendedFiles The extended files read (or attempted)
+	 * before the error, so they can still be watched for fixes.
+	 */
+	constructor(message, extendedFiles) {
+		super(message);
+		this.name = "ConfigExtendsError";
+		this.extendedFiles = extendedFiles;
+	}
+}
+
+/**
+ * Reads a JSON or YAML markdownlint configuration file and the files it
+ * `extends`. markdownlint resolves each `extends` relative to the extending
+ * file and falls back to resolving package names (e.g. shared style packages
+ * in node_modules) from its directory; this keeps that resolution, but
+ * records the files read and stops at cycles, which markdownlint would
+ * follow until the stack overflows.
+ *
+ * @param {string} configPath Absolute path of the configuration file.
+ * @param {Function[]} parsers Parsers for the file contents.
+ * @returns {Promise<{config: object, extendedFiles: string[]}>} The merged
+ * configuration and the absolute paths of the extended files.
+ * @throws {ConfigExtendsError} When an extended file cannot be read or
+ * parsed, or the chain is circular. Errors reading `configPath` itself are
+ * thrown as they are.
+ */
+export async function readConfigWithExtends(configPath, parsers) {
+	const chain = [];
+	const fsLike = {
+		access: fs.access,
+		accessSync: fs.accessSync,
+		readFileSync: fs.readFileSync,
+		readFile(file, encoding, callback) {
+			const filePath = path.resolve(file);
+			if (chain.includes(filePath)) {
+				callback(
+					new ConfigExtendsError(
+						`Circular extends in ${chain[0]}: ${[...chain, filePath].join(" -> ")}`,
+						chain.slice(1),
+					),
+				);
+				return;
+			}
+			chain.push(filePath);
+			fs.readFile(file, encoding, callback);
+		},
+	};
+
+	try {
+		const config = await readConfig(configPath, parsers, fsLike);
+		return { config, extendedFiles: chain.slice(1) };
+	} catch (error) {
+		if (error instanceof ConfigExtendsError || chain.length < 2) {
+			throw error;
+		}
+		const extendedPath = chain.at(-1);
+		const extendingPath = chain.at(-2);
+		const reason = error.code === "ENOENT" ? "file not found" : error.message;
+		throw new ConfigExtendsError(
+			`Unable to extend ${extendingPath} with ${extendedPath}: ${reason}`,
+			chain.slice(1),
+		);
+	}
+}
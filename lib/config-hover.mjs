@@ -0,0 +1,75 @@
+import { fileURLToPath } from "node:url";
+import { findNodeAtOffset } from "jsonc-parser";
+import { MarkupKind } from "vscode-languageserver/node.js";
+import { describeConfigPath, describeSchema } from "./config-schema.mjs";
+import { getPropertyKeyPath, parseConfigSyntax } from "./config-syntax.mjs";
+import { getRuleDocumentation } from "./rule-docs.mjs";
+import { findRule, getRuleMetadata } from "./rule-metadata.mjs";
+
+export class ConfigHover {
+	#codec;
+	#logger;
+
+	constructor({ codec, logger = () => {} }) {
+		this.#codec = codec;
+		this.#logger = logger;
+	}
+
+	async build({ document, position }) {
+		const configPath = fileURLToPath(document.uri);
+		const offset = document.offsetAt(
+			this.#codec.convertPositionToUtf16(position, document),
+		);
+		const { root } = parseConfigSyntax(configPath, document.getText());
+		const node = root ? findNodeAtOffset(root, offset, true) : undefined;
+		const keyPath = getPropertyKeyPath(node);
+		const target = keyPath ? describeConfigPath(configPath, keyPath) : null;
+		if (!target?.schema) {
+			return null;
+		}
+
+		this.#logger(`Hover for ${document.uri}: ${keyPath.join(".")}`);
+		return {
+			contents: {
+				kind: MarkupKind.Markdown,
+				value: await this.#describe(target),
+			},
+			range: this.#codec.convertRangeFromUtf16(
+				{
+					start: document.positionAt(node.offset),
+					end: document.positionAt(node.offset + node.length),
+				},
+				document,
+			),
+		};
+	}
+
+	async #describe({ kind, name, schema }) {
+		if (kind === "rule") {
+			const rule = findRule(name);
+			if (rule) {
+				const documentation = await getRuleDocumentation(rule.id, this.#logger);
+				return (
+					documentation?.trim() ??
+					`# \`${[rule.id, ...rule.aliases].join("/")}\` - ${rule.description}`
+				);
+			}
+			const upperName = name.toUpperCase();
+			const tag = [...getRuleMetadata().tags].find(
+				([tagName]) => tagName.toUpperCase() === upperName,
+			);
+			if (tag) {
+				return `**${tag[0]}** (tag)\n\nApplies to ${tag[1].join(", ")}`;
+			}
+		}
+
+		const lines = [`**${name}** (\`${describeSchema(schema)}\`)`];
+		if (schema.description) {
+			lines.push("", schema.description);
+		}
+		if (schema.default !== undefined && kind === "parameter") {
+			lines.push("", `Default: \`${JSON.stringify(schema.default)}\``);
+		}
+		return lines.join("\n");
+	}
+}
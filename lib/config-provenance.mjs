@@ -0,0 +1,67 @@
+function record(sources, key, source, value) {
+	const previous = sources.get(key);
+	sources.set(key, {
+		source,
+		value,
+		overrides: previous
+			? [
+					{ source: previous.source, value: previous.value },
+					...previous.overrides,
+				]
+			: [],
+	});
+}
+
+function toPlainObject(sources, effectiveKeys) {
+	return Object.fromEntries(
+		[...sources].filter(([key]) => effectiveKeys.includes(key)),
+	);
+}
+
+/**
+ * Explains where the effective options came from. For every rule key in
+ * `config` and every other top-level option, reports the layer that supplied
+ * the effective value and the layers it overrode, most recent first.
+ *
+ * Layers follow loadConfig semantics: `.markdownlint.*` files replace
+ * `config` as a whole, so rule keys from earlier layers that they do not set
+ * are dropped, while every other layer merges `config` key by key.
+ *
+ * @param {Array<{source: string, options: object, replacesConfig?: boolean}>}
+ * layers Option layers from lowest to highest precedence.
+ * @param {object} effectiveOptions The options actually used for linting;
+ * keys missing here (e.g. consumed `ignores`) are omitted.
+ * @returns {{config: object, options: object}} Provenance per rule key and
+ * per top-level option.
+ */
+export function getOptionsProvenance(layers, effectiveOptions) {
+	const configSources = new Map();
+	const optionSources = new Map();
+
+	for (const { source, options = {}, replacesConfig = false } of layers) {
+		const config = options.config ?? {};
+		if (replacesConfig) {
+			for (const key of configSources.keys()) {
+				if (!Object.hasOwn(config, key)) {
+					configSources.delete(key);
+				}
+			}
+		}
+		for (const [key, value] of Object.entries(config)) {
+			record(configSources, key, source, value);
+		}
+		for (const [key, value] of Object.entries(options)) {
+			if (key !== "config" && !key.startsWith("_")) {
+				record(optionSources, key, source, value);
+			}
+		}
+	}
+
+	return {
+		config: toPlainObject(
+			configSources,
+			Object.keys(effectiveOptions.config ?? {}),
+		),
+		options: toPlainObject(optionSources, Object.keys(effectiveOptions)),
+	};
+}
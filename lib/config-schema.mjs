@@ -0,0 +1,316 @@
+import { getRuleContainerPath } from "./config-edits.mjs";
+import { getRuleMetadata } from "./rule-metadata.mjs";
+
+// Top-level options of markdownlint-cli2 configuration files, plus the
+// `severity` map this server reads from them.
+// See: https://github.com/DavidAnson/markdownlint-cli2#markdownlint-cli2jsonc
+export const CLI2_OPTION_SCHEMAS = {
+	$schema: {
+		description: "JSON Schema URI (expected by some editors)",
+		type: "string",
+	},
+	config: {
+		description:
+			"markdownlint config object to configure rules for this part of the directory tree",
+		type: "object",
+	},
+	customRules: {
+		description:
+			"Array of module names or paths of custom rules to load and use when linting",
+		type: "array",
+	},
+	fix: {
+		description:
+			"Whether to enable fixing of linting errors reported by rules that emit fix information",
+		type: "boolean",
+	},
+	frontMatter: {
+		description:
+			"Regular expression used to match and ignore any front matter at the beginning of a document",
+		type: "string",
+	},
+	gitignore: {
+		description:
+			"Whether to ignore files referenced by .gitignore (or a glob pattern of ignore files) when linting",
+		type: ["boolean", "string"],
+	},
+	globs: {
+		description:
+			"Glob expressions to include when linting (only valid at the root)",
+		type: "array",
+		items: { type: "string" },
+	},
+	ignores: {
+		description: "Glob expressions to ignore when linting",
+		type: "array",
+		items: { type: "string" },
+	},
+	markdownItPlugins: {
+		description: "Array of plugins to use with markdown-it when parsing",
+		type: "array",
+	},
+	modulePaths: {
+		description: "Additional paths to resolve module locations from",
+		type: "array",
+		items: { type: "string" },
+	},
+	noBanner: {
+		description:
+			"Whether to disable the display of the banner message and version numbers",
+		type: "boolean",
+	},
+	noInlineConfig: {
+		description:
+			"Whether to disable support of HTML comments within Markdown content",
+		type: "boolean",
+	},
+	noProgress: {
+		description: "Whether to disable the display of progress",
+		type: "boolean",
+	},
+	outputFormatters: {
+		description: "Array of output formatter modules and parameters",
+		type: "array",
+	},
+	severity: {
+		description:
+			"Maps rule names, aliases or tags to the severity reported by the language server",
+		type: "object",
+		additionalProperties: { type: "string" },
+	},
+	showFound: {
+		description: "Whether to show the list of found files",
+		type: "boolean",
+	},
+};
+
+function getValueType(value) {
+	if (value === null) {
+		return "null";
+	}
+	return Array.isArray(value) ? "array" : typeof value;
+}
+
+function matchesType(node, type) {
+	const types = Array.isArray(type) ? type : [type];
+	return types.some(
+		(candidate) =>
+			candidate === node.type ||
+			(candidate === "integer" &&
+				node.type === "number" &&
+				Number.isInteger(node.value)),
+	);
+}
+
+function getSchemaTypes(schema) {
+	if (schema.type) {
+		return schema.type;
+	}
+	return schema.enum?.map(getValueType);
+}
+
+/**
+ * Describes the values a schema accepts, e.g. `boolean | "error" | object`.
+ *
+ * @param {object} schema JSON Schema.
+ * @returns {string}
+ */
+export function describeSchema(schema) {
+	const options = schema.oneOf ?? schema.anyOf;
+	if (options) {
+		return options.map(describeSchema).join(" | ");
+	}
+	if (schema.enum) {
+		return schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+	}
+	return [schema.type].flat().join(" | ");
+}
+
+/**
+ * Looks up the schema of a key in a markdownlint `config` object. Rule
+ * names, aliases and tags match case-insensitively, like markdownlint does.
+ *
+ * @param {string} key Key in a `config` object.
+ * @returns {object|null} The property schema, or null for unknown keys.
+ */
+export function findConfigPropertySchema(key) {
+	const { properties } = getRuleMetadata().schema;
+	if (Object.hasOwn(properties, key)) {
+		return properties[key];
+	}
+	const upperKey = key.toUpperCase();
+	const match = Object.keys(properties).find(
+		(name) => name.toUpperCase() === upperKey,
+	);
+	return match ? properties[match] : null;
+}
+
+/**
+ * Validates a syntax node (see config-syntax.mjs) against the subset of JSON
+ * Schema used by markdownlint's configuration schema.
+ *
+ * @param {object} node Syntax node of the value.
+ * @param {object} schema JSON Schema describing the value.
+ * @returns {Array<{node: object, message: string}>} Problems found, each
+ * attached to the node it concerns.
+ */
+export function validateValue(node, schema) {
+	const options = schema.oneOf ?? schema.anyOf;
+	if (options) {
+		const results = options.map((option) => validateValue(node, option));
+		if (results.some((problems) => problems.length === 0)) {
+			return [];
+		}
+		// Report the option matching the value's type, whose problems are the
+		// most specific.
+		const index = options.findIndex((option) => {
+			const types = getSchemaTypes(option);
+			return types && matchesType(node, types);
+		});
+		if (index !== -1) {
+			return results[index];
+		}
+		return [
+			{
+				node,
+				message: `Incorrect type. Expected ${describeSchema(schema)}.`,
+			},
+		];
+	}
+
+	if (schema.type && !matchesType(node, schema.type)) {
+		return [
+			{ node, message: `Incorrect type. Expected ${describeSchema(schema)}.` },
+		];
+	}
+	if (schema.enum && !schema.enum.includes(node.value)) {
+		return [
+			{
+				node,
+				message: `Value is not accepted. Valid values: ${describeSchema(schema)}.`,
+			},
+		];
+	}
+	if (node.type === "number") {
+		if (schema.minimum !== undefined && node.value < schema.minimum) {
+			return [
+				{ node, message: `Value is below the minimum of ${schema.minimum}.` },
+			];
+		}
+		if (schema.maximum !== undefined && node.value > schema.maximum) {
+			return [
+				{ node, message: `Value is above the maximum of ${schema.maximum}.` },
+			];
+		}
+	}
+	if (
+		node.type === "string" &&
+		schema.pattern &&
+		!new RegExp(schema.pattern, "u").test(node.value)
+	) {
+		return [
+			{
+				node,
+				message: `String does not match the pattern "${schema.pattern}".`,
+			},
+		];
+	}
+
+	const problems = [];
+	if (node.type === "object") {
+		for (const property of node.children) {
+			const [keyNode, valueNode] = property.children;
+			const propertySchema =
+				schema.properties?.[keyNode.value] ??
+				(typeof schema.additionalProperties === "object"
+					? schema.additionalProperties
+					: null);
+			if (!propertySchema) {
+				if (schema.additionalProperties === false) {
+					problems.push({
+						node: keyNode,
+						message: `Property "${keyNode.value}" is not allowed.`,
+					});
+				}
+				continue;
+			}
+			if (valueNode) {
+				problems.push(...validateValue(valueNode, propertySchema));
+			}
+		}
+	}
+	if (node.type === "array" && schema.items) {
+		for (const item of node.children) {
+			problems.push(...validateValue(item, schema.items));
+		}
+	}
+	return problems;
+}
+
+/**
+ * Returns the object variant of a rule schema, which lists the rule's
+ * parameters.
+ *
+ * @param {object} ruleSchema Schema of a rule in a `config` object.
+ * @returns {object|undefined}
+ */
+export function getRuleParametersSchema(ruleSchema) {
+	return ruleSchema.oneOf?.find((option) => option.type === "object");
+}
+
+function startsWithPath(keyPath, prefix) {
+	return prefix.every((key, index) => keyPath[index] === key);
+}
+
+/**
+ * Describes what a key path in a configuration file refers to.
+ *
+ * @param {string} configPath Path of the configuration file.
+ * @param {Array<string|number>} keyPath Keys from the document root.
+ * @returns {{kind: string, name?: string, schema?: object}|null} One of
+ * `options` (markdownlint-cli2 options object), `option` (a cli2 option),
+ * `rules` (object holding rules), `rule` (a rule, tag or special key such as
+ * `default`) or `parameter` (a rule parameter); null for anything else.
+ */
+export function describeConfigPath(configPath, keyPath) {
+	const rulesPath = getRuleContainerPath(configPath);
+	if (rulesPath.length > 0) {
+		const optionsPath = rulesPath.slice(0, -1);
+		const rest = keyPath.slice(optionsPath.length);
+		if (startsWithPath(keyPath, optionsPath) && rest[0] !== "config") {
+			if (rest.length === 0) {
+				return { kind: "options" };
+			}
+			if (rest.length === 1 && Object.hasOwn(CLI2_OPTION_SCHEMAS, rest[0])) {
+				return {
+					kind: "option",
+					name: rest[0],
+					schema: CLI2_OPTION_SCHEMAS[rest[0]],
+				};
+			}
+			return null;
+		}
+	}
+
+	if (!startsWithPath(keyPath, rulesPath)) {
+		return null;
+	}
+	const [ruleKey, parameter, ...rest] = keyPath.slice(rulesPath.length);
+	if (ruleKey === undefined) {
+		return { kind: "rules" };
+	}
+	const ruleSchema =
+		typeof ruleKey === "string" ? findConfigPropertySchema(ruleKey) : null;
+	if (!ruleSchema) {
+		return null;
+	}
+	if (parameter === undefined) {
+		return { kind: "rule", name: ruleKey, schema: ruleSchema };
+	}
+	const parameterSchema =
+		getRuleParametersSchema(ruleSchema)?.properties?.[parameter];
+	if (rest.length > 0 || !parameterSchema) {
+		return null;
+	}
+	return { kind: "parameter", name: parameter, schema: parameterSchema };
+}
@@ -0,0 +1,258 @@
+import { getLocation, parseTree, printParseErrorCode } from "jsonc-parser";
+import { isAlias, isMap, isScalar, isSeq, parseDocument } from "yaml";
+import { isYamlConfig } from "./config-edits.mjs";
+
+const YAML_POSITION_SUFFIX = / at line \d+, column \d+:?$/;
+const WORD_CHARACTER = /[\w$-]/;
+// Captures the (optional) quote and the key; both patterns using it capture
+// the indentation first, so the quote is group 2.
+const YAML_KEY_PATTERN = "([\"']?)([^\\s:\"'#]+)\\2";
+// A line holding only a key whose value is a nested block mapping.
+const YAML_PARENT_KEY_LINE = new RegExp(
+	`^(\\s*)${YAML_KEY_PATTERN}\\s*:\\s*(?:#.*)?$`,
+);
+const YAML_VALUE_PREFIX = new RegExp(
+	`^(\\s*)(?:- )?${YAML_KEY_PATTERN}\\s*:\\s+(\\S*)$`,
+);
+const YAML_KEY_PREFIX = /^(\s*)([^\s:#]*)$/;
+
+function getScalarType(value) {
+	if (value === null || value === undefined) {
+		return "null";
+	}
+	if (typeof value === "number") {
+		return "number";
+	}
+	if (typeof value === "boolean") {
+		return "boolean";
+	}
+	return "string";
+}
+
+function toSyntaxNode(node, document, parent) {
+	const [start, end] = node.range;
+	const syntaxNode = { offset: start, length: end - start, parent };
+
+	if (isAlias(node)) {
+		const target = node.resolve(document);
+		return target
+			? { ...toSyntaxNode(target, document, parent), ...syntaxNode }
+			: { ...syntaxNode, type: "null", value: null };
+	}
+	if (isMap(node)) {
+		syntaxNode.type = "object";
+		syntaxNode.children = node.items
+			.filter((pair) => isScalar(pair.key))
+			.map((pair) => toPropertyNode(pair, document, syntaxNode));
+		return syntaxNode;
+	}
+	if (isSeq(node)) {
+		syntaxNode.type = "array";
+		syntaxNode.children = node.items
+			.filter((item) => item?.range)
+			.map((item) => toSyntaxNode(item, document, syntaxNode));
+		return syntaxNode;
+	}
+	syntaxNode.type = getScalarType(node.value);
+	syntaxNode.value = node.value ?? null;
+	return syntaxNode;
+}
+
+function toPropertyNode(pair, document, parent) {
+	const [keyStart, keyEnd] = pair.key.range;
+	const valueEnd = pair.value?.range ? pair.value.range[1] : keyEnd;
+	const property = {
+		type: "property",
+		offset: keyStart,
+		length: valueEnd - keyStart,
+		parent,
+	};
+	property.children = [
+		{
+			type: "string",
+			value: String(pair.key.value),
+			offset: keyStart,
+			length: keyEnd - keyStart,
+			parent: property,
+		},
+	];
+	if (pair.value?.range) {
+		property.children.push(toSyntaxNode(pair.value, document, property));
+	}
+	return property;
+}
+
+function parseYaml(content) {
+	const document = parseDocument(content, { uniqueKeys: false });
+	const errors = document.errors.map((error) => ({
+		offset: error.pos[0],
+		length: error.pos[1] - error.pos[0],
+		message: error.message.split("\n")[0].replace(YAML_POSITION_SUFFIX, ""),
+	}));
+	const root = document.contents?.range
+		? toSyntaxNode(document.contents, document, undefined)
+		: undefined;
+	return { root, errors, isYaml: true };
+}
+
+function parseJsonc(content) {
+	const parseErrors = [];
+	const root = parseTree(content, parseErrors, { allowTrailingComma: true });
+	const errors = parseErrors.map((error) => ({
+		offset: error.offset,
+		length: error.length,
+		message: `JSON syntax error: ${printParseErrorCode(error.error)}`,
+	}));
+	return { root, errors, isYaml: false };
+}
+
+/**
+ * Parses a JSONC or YAML configuration file into a syntax tree with source
+ * offsets. YAML documents are converted to the node shape of jsonc-parser
+ * (`object`, `array`, `property`, and scalar nodes with `offset`, `length`,
+ * `children` and `value`), so both formats can be inspected with the same
+ * code and with jsonc-parser helpers such as `findNodeAtOffset`.
+ *
+ * @param {string} configPath Path of the configuration file.
+ * @param {string} content Content of the configuration file.
+ * @returns {{root: object|undefined, errors: Array<{offset: number, length: number, message: string}>, isYaml: boolean}}
+ */
+export function parseConfigSyntax(configPath, content) {
+	return isYamlConfig(configPath, content)
+		? parseYaml(content)
+		: parseJsonc(content);
+}
+
+/**
+ * Returns the value node of an object property, matching the key exactly.
+ *
+ * @param {object|undefined} objectNode An `object` syntax node.
+ * @param {string} key Property name.
+ * @returns {object|undefined} The value node, if present.
+ */
+export function getPropertyValueNode(objectNode, key) {
+	if (objectNode?.type !== "object") {
+		return undefined;
+	}
+	const property = objectNode.children.find(
+		(child) => child.children[0].value === key,
+	);
+	return property?.children[1];
+}
+
+function getWordRange(content, offset) {
+	let start = offset;
+	while (start > 0 && WORD_CHARACTER.test(content[start - 1])) {
+		start -= 1;
+	}
+	let end = offset;
+	while (end < content.length && WORD_CHARACTER.test(content[end])) {
+		end += 1;
+	}
+	return { offset: start, length: end - start };
+}
+
+function getJsoncCompletionLocation(content, offset) {
+	const location = getLocation(content, offset);
+	const node = location.previousNode;
+	const range =
+		node && offset >= node.offset && offset <= node.offset + node.length
+			? { offset: node.offset, length: node.length }
+			: getWordRange(content, offset);
+	return {
+		keyPath: location.isAtPropertyKey
+			? location.path.slice(0, -1)
+			: location.path,
+		isAtPropertyKey: location.isAtPropertyKey,
+		range,
+	};
+}
+
+// Block-style YAML is resolved from indentation, which keeps working while
+// the document is incomplete and does not parse.
+function getYamlCompletionLocation(content, offset) {
+	const lineStart = content.lastIndexOf("\n", offset - 1) + 1;
+	const linePrefix = content.slice(lineStart, offset);
+	const valueMatch = linePrefix.match(YAML_VALUE_PREFIX);
+	const keyMatch = valueMatch ? null : linePrefix.match(YAML_KEY_PREFIX);
+	if (!valueMatch && !keyMatch) {
+		return null;
+	}
+
+	const keyPath = [];
+	let indentation = (valueMatch ?? keyMatch)[1].length;
+	let lineEnd = lineStart - 1;
+	while (indentation > 0 && lineEnd > 0) {
+		const previousStart = content.lastIndexOf("\n", lineEnd - 1) + 1;
+		const line = content.slice(previousStart, lineEnd);
+		lineEnd = previousStart - 1;
+		if (line.trim() === "" || line.trim().startsWith("#")) {
+			continue;
+		}
+		const lineIndentation = line.match(/^\s*/)[0].length;
+		if (lineIndentation >= indentation) {
+			continue;
+		}
+		const parentMatch = line.match(YAML_PARENT_KEY_LINE);
+		if (!parentMatch) {
+			return null;
+		}
+		keyPath.unshift(parentMatch[3]);
+		indentation = lineIndentation;
+	}
+
+	if (valueMatch) {
+		keyPath.push(valueMatch[3]);
+	}
+	return {
+		keyPath,
+		isAtPropertyKey: !valueMatch,
+		range: getWordRange(content, offset),
+	};
+}
+
+/**
+ * Determines where in the configuration structure a completion was
+ * requested, tolerating incomplete documents.
+ *
+ * @param {string} configPath Path of the configuration file.
+ * @param {string} content Content of the configuration file.
+ * @param {number} offset Offset of the cursor.
+ * @returns {{keyPath: Array<string|number>, isAtPropertyKey: boolean, isYaml: boolean, range: {offset: number, length: number}}|null}
+ * The key path of the object (for keys) or property (for values) at the
+ * cursor and the range the completion replaces, or null when unknown.
+ */
+export function getCompletionLocation(configPath, content, offset) {
+	const isYaml = isYamlConfig(configPath, content);
+	const location = isYaml
+		? getYamlCompletionLocation(content, offset)
+		: getJsoncCompletionLocation(content, offset);
+	return location ? { ...location, isYaml } : null;
+}
+
+/**
+ * Returns the keys leading from the document root to a property key node.
+ *
+ * @param {object} node A syntax node.
+ * @returns {string[]|null} The key path, or null when the node is not a
+ * property key nested in objects only.
+ */
+export function getPropertyKeyPath(node) {
+	if (node?.parent?.type !== "property" || node.parent.children[0] !== node) {
+		return null;
+	}
+	const keyPath = [];
+	let property = node.parent;
+	while (property) {
+		keyPath.unshift(property.children[0].value);
+		const container = property.parent;
+		if (container?.type !== "object") {
+			return null;
+		}
+		property = container.parent;
+		if (property && property.type !== "property") {
+			return null;
+		}
+	}
+	return keyPath;
+}
@@ -0,0 +1,164 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DiagnosticSeverity } from "vscode-languageserver/node.js";
+import {
+	CONFIG_FILE_KIND_CLI2,
+	CONFIG_FILE_KIND_PACKAGE_JSON,
+	getConfigFileKind,
+} from "./config.mjs";
+import {
+	CLI2_OPTION_SCHEMAS,
+	findConfigPropertySchema,
+	validateValue,
+} from "./config-schema.mjs";
+import { getPropertyValueNode, parseConfigSyntax } from "./config-syntax.mjs";
+
+const JS_EXTENSIONS = [".cjs", ".mjs"];
+const PACKAGE_JSON_KEY = "markdownlint-cli2";
+
+export class ConfigValidator {
+	#codec;
+	#logger;
+
+	constructor({ codec, logger = () => {} }) {
+		this.#codec = codec;
+		this.#logger = logger;
+	}
+
+	/**
+	 * Whether the document is a JSONC or YAML markdownlint configuration file.
+	 * JavaScript configuration files are not validated.
+	 *
+	 * @param {string} uri Document URI.
+	 * @returns {boolean}
+	 */
+	canValidate(uri) {
+		if (!uri.startsWith("file:")) {
+			return false;
+		}
+		const filePath = fileURLToPath(uri);
+		return (
+			getConfigFileKind(filePath) !== null &&
+			!JS_EXTENSIONS.includes(path.extname(filePath))
+		);
+	}
+
+	validate(document) {
+		const configPath = fileURLToPath(document.uri);
+		const kind = getConfigFileKind(configPath);
+		const { root, errors } = parseConfigSyntax(configPath, document.getText());
+
+		const problems = [];
+		if (kind === CONFIG_FILE_KIND_PACKAGE_JSON) {
+			// package.json belongs to other tooling; only its markdownlint-cli2
+			// section is ours to report on.
+			const options =
+				errors.length === 0
+					? getPropertyValueNode(root, PACKAGE_JSON_KEY)
+					: undefined;
+			if (options) {
+				problems.push(...this.#validateCli2Options(options));
+			}
+		} else {
+			for (const error of errors) {
+				problems.push({ ...error, severity: DiagnosticSeverity.Error });
+			}
+			// The recovered tree of a broken file would yield misleading problems.
+			if (root && errors.length === 0) {
+				problems.push(
+					...(kind === CONFIG_FILE_KIND_CLI2
+						? this.#validateCli2Options(root)
+						: this.#validateRules(root, false)),
+				);
+			}
+		}
+
+		this.#logger(
+			`Found ${problems.length} problems in configuration file ${configPath}`,
+		);
+		const diagnostics = problems.map(
+			({ offset, length, message, severity }) => ({
+				range: {
+					start: document.positionAt(offset),
+					end: document.positionAt(offset + length),
+				},
+				severity,
+				message,
+				source: "markdownlint",
+			}),
+		);
+		return this.#codec.convertDiagnosticsFromUtf16(diagnostics, document);
+	}
+
+	#validateCli2Options(node) {
+		if (node.type !== "object") {
+			return [this.#toProblem({ node, message: "Expected an object." })];
+		}
+
+		// Names of custom rules are unknown to the schema.
+		const hasCustomRules =
+			getPropertyValueNode(node, "customRules") !== undefined;
+		const problems = [];
+		for (const property of node.children) {
+			const [keyNode, valueNode] = property.children;
+			const key = keyNode.value;
+			if (!Object.hasOwn(CLI2_OPTION_SCHEMAS, key)) {
+				problems.push(
+					this.#toProblem({
+						node: keyNode,
+						message: `Unknown markdownlint-cli2 option "${key}".`,
+					}),
+				);
+			} else if (valueNode && key === "config") {
+				problems.push(...this.#validateRules(valueNode, hasCustomRules));
+			} else if (valueNode) {
+				problems.push(
+					...validateValue(valueNode, CLI2_OPTION_SCHEMAS[key]).map((problem) =>
+						this.#toProblem(problem),
+					),
+				);
+			}
+		}
+		return problems;
+	}
+
+	#validateRules(node, allowUnknownRules) {
+		if (node.type !== "object") {
+			return [this.#toProblem({ node, message: "Expected an object." })];
+		}
+
+		const problems = [];
+		for (const property of node.children) {
+			const [keyNode, valueNode] = property.children;
+			const schema = findConfigPropertySchema(keyNode.value);
+			if (!schema) {
+				if (!allowUnknownRules) {
+					problems.push(
+						this.#toProblem({
+							node: keyNode,
+							message: `Unknown rule or tag "${keyNode.value}".`,
+						}),
+					);
+				}
+				continue;
+			}
+			if (valueNode) {
+				problems.push(
+					...validateValue(valueNode, schema).map((problem) =>
+						this.#toProblem(problem),
+					),
+				);
+			}
+		}
+		return problems;
+	}
+
+	#toProblem({ node, message }) {
+		return {
+			offset: node.offset,
+			length: node.length,
+			message,
+			severity: DiagnosticSeverity.Warning,
+		};
+	}
+}
@@ -1,12 +1,22 @@
+import fs from "node:fs/promises";
+import os from "node:os";
 import path from "node:path";
-import { fileURLToPath, pathToFileURL } from "node:url";
+import { fileURLToPath } from "node:url";
 import { load } from "js-yaml";
-import { readConfig as readMarkdownlintConfig } from "markdownlint/promise";
 import {
+	ConfigExtendsError,
+	readConfigWithExtends,
+} from "./config-extends.mjs";
+import { loadCustomRules } from "./custom-rules.mjs";
+import { loadMarkdownItPlugins } from "./markdown-it-plugins.mjs";
+import {
+	GITIGNORE_FILENAME,
+	loadGitignoreEntries,
 	loadMarkdownlintIgnoreEntries,
 	MARKDOWNLINT_IGNORE_FILENAME,
 } from "./markdownlint-ignore.mjs";
 import mergeOptions from "./merge-options.mjs";
+import { importModule } from "./module-loader.mjs";
 
 // The order of these filenames is important and reflects the precedence
 // that markdownlint-cli2 uses for configuration files.
@@ -40,13 +50,17 @@ export const ALL_CONFIG_FILENAMES_EXCEPT_PACKAGE_JSON = [
 	...MARKDOWNLINT_RC_CONFIG_FILENAMES,
 ];
 
-export { MARKDOWNLINT_IGNORE_FILENAME };
+export { GITIGNORE_FILENAME, MARKDOWNLINT_IGNORE_FILENAME };
 
 const ALL_CONFIG_FILENAMES = [
 	...ALL_CONFIG_FILENAMES_EXCEPT_PACKAGE_JSON,
 	"package.json",
 ];
 
+export const CONFIG_FILE_KIND_CLI2 = "cli2";
+export const CONFIG_FILE_KIND_MARKDOWNLINT = "markdownlint";
+export const CONFIG_FILE_KIND_PACKAGE_JSON = "package.json";
+
 const PARSERS = [(content) => load(content)];
 const MAX_LOG_CONFIG_LENGTH = 2000;
 const SENSITIVE_KEY_PATTERN = /token|secret|password|api[_-]?key|auth/i;
@@ -85,18 +99,13 @@ function formatConfigForLog(value) {
 	}
 }
 
-async function loadJsConfig(configPath) {
-	const url = pathToFileURL(configPath);
-	url.search = `?t=${Date.now()}`;
-	const moduleExports = await import(url.href);
-	return moduleExports.default ?? moduleExports;
-}
-
 function normalizeLoadConfigOptions(loggerOrOptions, maybeOptions) {
 	if (typeof loggerOrOptions === "function") {
 		return {
 			logger: loggerOrOptions,
 			allowJavaScriptConfig: maybeOptions?.allowJavaScriptConfig ?? false,
+			baseConfigFile: maybeOptions?.baseConfigFile ?? null,
+			configDiscovery: maybeOptions?.configDiscovery ?? true,
 		};
 	}
 
@@ -104,20 +113,60 @@ function normalizeLoadConfigOptions(loggerOrOptions, maybeOptions) {
 	return {
 		logger: options.logger ?? (() => {}),
 		allowJavaScriptConfig: options.allowJavaScriptConfig ?? false,
+		baseConfigFile: options.baseConfigFile ?? null,
+		configDiscovery: options.configDiscovery ?? true,
 	};
 }
 
+// Replaces the module names in `customRules` and `markdownItPlugins` with the
+// loaded modules, resolved from the directory of the declaring file. Module
+// paths are added to `extendedFiles`, so edits to them reload configuration.
+async function loadConfigModules(
+	config,
+	filepath,
+	logger,
+	allowJavaScriptConfig,
+	extendedFiles,
+) {
+	const moduleOptions = {
+		logger,
+		allowJavaScriptConfig,
+		modulePaths: Array.isArray(config.modulePaths) ? config.modulePaths : [],
+		loadedFiles: extendedFiles,
+	};
+	const loaded = { ...config };
+	if (Object.hasOwn(config, "customRules")) {
+		loaded.customRules = await loadCustomRules(
+			config.customRules,
+			path.dirname(filepath),
+			moduleOptions,
+		);
+	}
+	if (Object.hasOwn(config, "markdownItPlugins")) {
+		loaded.markdownItPlugins = await loadMarkdownItPlugins(
+			config.markdownItPlugins,
+			path.dirname(filepath),
+			moduleOptions,
+		);
+	}
+	return loaded;
+}
+
 function isSubdirectory(parent, child) {
 	if (child === parent) return true;
 	const relative = path.relative(parent, child);
 	return relative && !relative.startsWith("..") && !path.isAbsolute(relative);
 }
 
+// Problems worth surfacing to the user (e.g. a broken `extends` chain) are
+// added to `problems`, when given; extended files, including those that
+// failed to load, are added to `extendedFiles`.
 async function findHighestPrecedenceConfigFileInDir(
 	dir,
 	filenames,
 	logger,
 	allowJavaScriptConfig,
+	{ problems = [], extendedFiles = [] } = {},
 ) {
 	for (const filename of filenames) {
 		const configPath = path.join(dir, filename);
@@ -128,9 +177,14 @@ async function findHighestPrecedenceConfigFileInDir(
 				logger(`Skipping JavaScript config file: ${configPath}`, true);
 				continue;
 			}
-			const config = isJsConfig
-				? await loadJsConfig(configPath)
-				: await readMarkdownlintConfig(configPath, PARSERS);
+			let config;
+			if (isJsConfig) {
+				config = await importModule(configPath);
+			} else {
+				const result = await readConfigWithExtends(configPath, PARSERS);
+				config = result.config;
+				extendedFiles.push(...result.extendedFiles);
+			}
 
 			if (filename === "package.json") {
 				if (config["markdownlint-cli2"]) {
@@ -149,7 +203,11 @@ async function findHighestPrecedenceConfigFileInDir(
 				return { filepath: configPath, config };
 			}
 		} catch (error) {
-			if (error.code !== "ENOENT" && error.code !== "EISDIR") {
+			if (error instanceof ConfigExtendsError) {
+				logger(error.message, true);
+				problems.push(error.message);
+				extendedFiles.push(...error.extendedFiles);
+			} else if (error.code !== "ENOENT" && error.code !== "EISDIR") {
 				logger(`Error reading or parsing ${configPath}: ${error}`, true);
 			}
 		}
@@ -157,14 +215,150 @@ async function findHighestPrecedenceConfigFileInDir(
 	return null;
 }
 
+/**
+ * Classifies a file by the kind of configuration it may hold.
+ *
+ * @param {string} filePath Absolute path of the file.
+ * @returns {string|null} {@link CONFIG_FILE_KIND_CLI2} for markdownlint-cli2
+ * options, {@link CONFIG_FILE_KIND_MARKDOWNLINT} for `.markdownlint.*` and rc
+ * files, {@link CONFIG_FILE_KIND_PACKAGE_JSON}, or null for other files.
+ */
+export function getConfigFileKind(filePath) {
+	const filename = path.basename(filePath);
+	if (MARKDOWNLINT_CLI2_CONFIG_FILENAMES.includes(filename)) {
+		return CONFIG_FILE_KIND_CLI2;
+	}
+	if (
+		MARKDOWNLINT_CONFIG_FILENAMES.includes(filename) ||
+		filename === ".markdownlintrc" ||
+		filePath.endsWith(`${path.sep}${path.join(".markdownlint", "config")}`)
+	) {
+		return CONFIG_FILE_KIND_MARKDOWNLINT;
+	}
+	if (filename === "package.json") {
+		return CONFIG_FILE_KIND_PACKAGE_JSON;
+	}
+	return null;
+}
+
+function getDirectoriesToSearch(fileUri, workspaceRoot) {
+	const directoriesToSearch = [];
+	let currentDir = path.dirname(fileURLToPath(fileUri));
+
+	while (isSubdirectory(workspaceRoot, currentDir)) {
+		directoriesToSearch.push(currentDir);
+		if (currentDir === workspaceRoot) {
+			break;
+		}
+		const parentDir = path.dirname(currentDir);
+		if (parentDir === currentDir) {
+			break;
+		}
+		currentDir = parentDir;
+	}
+
+	return directoriesToSearch;
+}
+
+function getConfigFilenamesForDir(dir, workspaceRoot) {
+	return dir === workspaceRoot
+		? ALL_CONFIG_FILENAMES
+		: ALL_CONFIG_FILENAMES_EXCEPT_PACKAGE_JSON;
+}
+
+/**
+ * Finds the configuration file closest to a given file, i.e. the file whose
+ * settings take precedence when {@link loadConfig} merges configurations.
+ *
+ * @param {string} fileUri The URI of the markdown file.
+ * @param {string} workspaceRoot The absolute path to the workspace root.
+ * @param {object} [options]
+ * @param {Function} [options.logger] Optional logger function.
+ * @param {boolean} [options.allowJavaScriptConfig] Whether JavaScript configs
+ * may be loaded.
+ * @returns {Promise<string|null>} The configuration file path, or null if no
+ * configuration file applies to the file.
+ */
+export async function findClosestConfigFile(
+	fileUri,
+	workspaceRoot,
+	{ logger = () => {}, allowJavaScriptConfig = false } = {},
+) {
+	if (!fileUri.startsWith("file:")) {
+		return null;
+	}
+
+	for (const dir of getDirectoriesToSearch(fileUri, workspaceRoot)) {
+		const found = await findHighestPrecedenceConfigFileInDir(
+			dir,
+			getConfigFilenamesForDir(dir, workspaceRoot),
+			logger,
+			allowJavaScriptConfig,
+		);
+		if (found) {
+			return found.filepath;
+		}
+	}
+	return null;
+}
+
+/**
+ * Finds the user-level configuration file, which applies beneath workspace
+ * configuration: the highest-precedence configuration file in
+ * `$XDG_CONFIG_HOME/markdownlint/` (`~/.config/markdownlint/` when
+ * `XDG_CONFIG_HOME` is unset), or else `~/.markdownlintrc`.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env=process.env] Environment variables.
+ * @param {string} [options.homeDir=os.homedir()] Home directory.
+ * @returns {Promise<string|null>} The configuration file path, or null if
+ * there is none.
+ */
+export async function findUserConfigFile({
+	env = process.env,
+	homeDir = os.homedir(),
+} = {}) {
+	const configHome = env.XDG_CONFIG_HOME || path.join(homeDir, ".config");
+	const candidates = [
+		...ALL_CONFIG_FILENAMES_EXCEPT_PACKAGE_JSON.map((filename) =>
+			path.join(configHome, "markdownlint", filename),
+		),
+		path.join(homeDir, ".markdownlintrc"),
+	];
+	for (const candidate of candidates) {
+		try {
+			if ((await fs.stat(candidate)).isFile()) {
+				return candidate;
+			}
+		} catch {
+			// Not there; try the next candidate.
+		}
+	}
+	return null;
+}
+
 /**
  * Loads configuration for a given file, traversing up the directory tree
  * from the file's location to the workspace root, and merging all found
  * configurations.
  *
+ * The base configuration file (the user configuration file or the
+ * `configFile` setting), when given, is the lowest-precedence layer. Files
+ * named like markdownlint-cli2 configuration hold cli2 options; any other
+ * file holds markdownlint configuration. It also applies to documents
+ * outside the workspace and to non-file documents.
+ *
  * @param {string} fileUri The URI of the markdown file.
  * @param {string} workspaceRoot The absolute path to the workspace root.
  * @param {Function} [logger=()=>{}] Optional logger function.
+ * @param {object} [options]
+ * @param {boolean} [options.allowJavaScriptConfig] Whether JavaScript configs
+ * may be loaded.
+ * @param {string|null} [options.baseConfigFile] Absolute path of the base
+ * configuration file.
+ * @param {boolean} [options.configDiscovery=true] Whether to look for
+ * configuration files from the file's directory up to the workspace root;
+ * ignore files are looked for either way.
  * @returns {Promise<object|null>} A promise that resolves to the final
  * markdownlint options object, or null if no configuration is found.
  */
@@ -174,69 +368,85 @@ export async function loadConfig(
 	loggerOrOptions = () => {},
 	maybeOptions = {},
 ) {
-	const { logger, allowJavaScriptConfig } = normalizeLoadConfigOptions(
-		loggerOrOptions,
-		maybeOptions,
-	);
+	const { logger, allowJavaScriptConfig, baseConfigFile, configDiscovery } =
+		normalizeLoadConfigOptions(loggerOrOptions, maybeOptions);
 
-	if (!fileUri.startsWith("file:")) {
+	if (!fileUri.startsWith("file:") && !baseConfigFile) {
 		logger("Skipping config load for non-file URI", true);
 		return null;
 	}
 
-	const filePath = fileURLToPath(fileUri);
-	const startDir = path.dirname(filePath);
-
-	const directoriesToSearch = [];
-	let currentDir = startDir;
-
-	while (isSubdirectory(workspaceRoot, currentDir)) {
-		directoriesToSearch.push(currentDir);
-		if (currentDir === workspaceRoot) {
-			break;
-		}
-		const parentDir = path.dirname(currentDir);
-		if (parentDir === currentDir) {
-			break;
-		}
-		currentDir = parentDir;
-	}
+	const directoriesToSearch = fileUri.startsWith("file:")
+		? getDirectoriesToSearch(fileUri, workspaceRoot)
+		: [];
+	const configProblems = [];
+	const extendedFiles = [];
+	const configPromises = (configDiscovery ? directoriesToSearch : []).map(
+		(dir) =>
+			findHighestPrecedenceConfigFileInDir(
+				dir,
+				getConfigFilenamesForDir(dir, workspaceRoot),
+				logger,
+				allowJavaScriptConfig,
+				{ problems: configProblems, extendedFiles },
+			),
+	);
 
-	const configPromises = directoriesToSearch.map((dir) => {
-		const filenames =
-			dir === workspaceRoot
-				? ALL_CONFIG_FILENAMES
-				: ALL_CONFIG_FILENAMES_EXCEPT_PACKAGE_JSON;
-		return findHighestPrecedenceConfigFileInDir(
-			dir,
-			filenames,
-			logger,
-			allowJavaScriptConfig,
+	if (baseConfigFile) {
+		configPromises.push(
+			findHighestPrecedenceConfigFileInDir(
+				path.dirname(baseConfigFile),
+				[path.basename(baseConfigFile)],
+				logger,
+				allowJavaScriptConfig,
+				{ problems: configProblems, extendedFiles },
+			),
 		);
-	});
+	}
 
 	const foundConfigs = (await Promise.all(configPromises)).filter(Boolean);
 	const markdownlintIgnoreEntries = await loadMarkdownlintIgnoreEntries(
 		directoriesToSearch,
 		logger,
 	);
+	// markdownlint-cli2's `gitignore: true` skips files ignored by git. Only the
+	// `.gitignore` files between the document and the workspace root are read.
+	// They are loaded whatever the configuration files say, since the option may
+	// also come from settings; whether they apply is decided once those are
+	// merged in.
+	const gitignoreEntries = await loadGitignoreEntries(
+		directoriesToSearch,
+		logger,
+	);
 
-	if (foundConfigs.length === 0 && markdownlintIgnoreEntries.length === 0) {
+	if (
+		foundConfigs.length === 0 &&
+		markdownlintIgnoreEntries.length === 0 &&
+		gitignoreEntries.length === 0 &&
+		configProblems.length === 0
+	) {
 		logger("No config files found in the file's path.", true);
 		return null;
 	}
 
 	let mergedOptions = {};
 	let ignoreEntries = [];
+	const configLayers = [];
 	for (const { config, filepath } of foundConfigs.reverse()) {
 		const filename = path.basename(filepath);
 		logger(`Applying config from ${filepath}`, true);
 
-		// Check if this is a markdownlint-specific config file (not CLI2)
+		// Check if this is a markdownlint-specific config file (not CLI2). The
+		// base configuration file may have any name.
 		const isMarkdownlintConfig =
-			MARKDOWNLINT_CONFIG_FILENAMES.includes(filename) ||
-			filepath.endsWith(".markdownlintrc") ||
-			filepath.endsWith(".markdownlint/config");
+			filename !== "package.json" &&
+			!MARKDOWNLINT_CLI2_CONFIG_FILENAMES.includes(filename);
+
+		configLayers.push({
+			source: filepath,
+			options: isMarkdownlintConfig ? { config } : config,
+			replacesConfig: isMarkdownlintConfig,
+		});
 
 		if (isMarkdownlintConfig) {
 			mergedOptions.config = config;
@@ -255,7 +465,16 @@ export async function loadConfig(
 					ignoreEntries = [];
 				}
 			}
-			mergedOptions = mergeOptions(mergedOptions, config);
+			mergedOptions = mergeOptions(
+				mergedOptions,
+				await loadConfigModules(
+					config,
+					filepath,
+					logger,
+					allowJavaScriptConfig,
+					extendedFiles,
+				),
+			);
 		}
 	}
 
@@ -268,11 +487,27 @@ export async function loadConfig(
 	if (markdownlintIgnoreEntries.length > 0) {
 		mergedOptions._markdownlintIgnoreEntries = markdownlintIgnoreEntries;
 	}
+	if (gitignoreEntries.length > 0) {
+		mergedOptions._gitignoreEntries = gitignoreEntries;
+	}
+	// Shown to the user as warnings by DocumentValidator.
+	if (configProblems.length > 0) {
+		mergedOptions._configProblems = configProblems;
+	}
+	// Watched for changes by WorkspaceContext, as they may live anywhere.
+	if (extendedFiles.length > 0) {
+		mergedOptions._extendedFiles = [...new Set(extendedFiles)];
+	}
 	if (Object.keys(mergedOptions).length === 0) {
 		return null;
 	}
 	if (logger) {
 		logger(`Final merged config: ${formatConfigForLog(mergedOptions)}`, true);
 	}
+	// Kept for explaining where each option came from; see
+	// config-provenance.mjs.
+	if (configLayers.length > 0) {
+		mergedOptions._configLayers = configLayers;
+	}
 	return mergedOptions;
 }
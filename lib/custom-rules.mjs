@@ -0,0 +1,58 @@
+import { importModule, resolveModulePath } from "./module-loader.mjs";
+
+/**
+ * Loads the custom rules listed in a markdownlint-cli2 `customRules` option.
+ * Module names and relative paths are resolved from the directory of the
+ * configuration (or settings) that declared them, like markdownlint-cli2
+ * does; rule objects (from JavaScript configuration) are kept as they are.
+ * Loading runs arbitrary code, so modules are only loaded when JavaScript
+ * configuration is allowed. Entries that fail to load are skipped.
+ *
+ * @param {Array<string|object>} customRules Module names, paths or rules.
+ * @param {string} baseDir Directory to resolve entries from.
+ * @param {object} [options]
+ * @param {Function} [options.logger] Optional logger function.
+ * @param {boolean} [options.allowJavaScriptConfig] Whether modules may be
+ * loaded.
+ * @param {string[]} [options.modulePaths] Additional directories to resolve
+ * module names from (markdownlint-cli2's `modulePaths`).
+ * @param {string[]} [options.loadedFiles] Receives the paths of the modules
+ * resolved, whether or not they load, so they can be watched for changes.
+ * @returns {Promise<object[]>} The rule objects.
+ */
+export async function loadCustomRules(
+	customRules,
+	baseDir,
+	{
+		logger = () => {},
+		allowJavaScriptConfig = false,
+		modulePaths = [],
+		loadedFiles = [],
+	} = {},
+) {
+	if (!Array.isArray(customRules)) {
+		return [];
+	}
+
+	const rules = [];
+	for (const entry of customRules) {
+		if (typeof entry !== "string") {
+			rules.push(entry);
+			continue;
+		}
+		if (!allowJavaScriptConfig) {
+			logger(`Skipping custom rule module: ${entry}`, true);
+			continue;
+		}
+		try {
+			const modulePath = resolveModulePath(entry, baseDir, modulePaths);
+			loadedFiles.push(modulePath);
+			const loaded = [await importModule(modulePath)].flat();
+			logger(`Loaded ${loaded.length} custom rules from ${modulePath}`, true);
+			rules.push(...loaded);
+		} catch (error) {
+			logger(`Error loading custom rule ${entry}: ${error}`, true);
+		}
+	}
+	return rules;
+}
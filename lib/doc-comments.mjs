@@ -0,0 +1,207 @@
+import { SourceMap } from "./source-map.mjs";
+
+export const DOC_COMMENT_LANGUAGE_IDS = [
+	"javascript",
+	"javascriptreact",
+	"typescript",
+	"typescriptreact",
+	"python",
+];
+
+const JSDOC_START_RE = /^(\s*)\/\*\*(?![*/])/;
+const JSDOC_LINE_PREFIX_RE = /^\s*(\*(?!\/) ?)?/;
+const DOCSTRING_START_RE = /^(\s*)[rRuU]?("""|''')/;
+const PYTHON_CODE_LINE_RE = /^\s*[^\s#]/;
+const PYTHON_DEFINITION_RE = /^\s*(async\s+def|def|class)\s/;
+
+function createBlock(lines, continuation) {
+	return {
+		text: `${lines.map(({ text }) => text).join("\n")}\n`,
+		sourceMap: new SourceMap(
+			lines.map(({ line, character, text, shared }) => ({
+				line,
+				character,
+				length: text.length,
+				shared,
+			})),
+			continuation,
+		),
+	};
+}
+
+// JSDoc and TSDoc comments up to the first block tag (e.g. `@param`), whose
+// text is not Markdown throughout.
+function extractJsDocComments(hostLines) {
+	const blocks = [];
+	for (let start = 0; start < hostLines.length; start++) {
+		const match = JSDOC_START_RE.exec(hostLines[start]);
+		if (!match) {
+			continue;
+		}
+
+		const lines = [];
+		let continuation = `${match[1]} * `;
+		let inDescription = true;
+		let end = start;
+		for (; end < hostLines.length; end++) {
+			const hostLine = hostLines[end];
+			const from = end === start ? match[0].length : 0;
+			const close = hostLine.indexOf("*/", from);
+			let character = from;
+			if (end === start) {
+				character += hostLine[from] === " " ? 1 : 0;
+			} else {
+				const prefix = JSDOC_LINE_PREFIX_RE.exec(hostLine)[0];
+				character = prefix.length;
+				if (end === start + 1 && prefix.includes("*")) {
+					continuation = prefix.endsWith(" ") ? prefix : `${prefix} `;
+				}
+			}
+			const shared = end === start || close !== -1;
+			const text =
+				close === -1
+					? hostLine.slice(character)
+					: hostLine.slice(character, close).trimEnd();
+			inDescription &&= !text.startsWith("@");
+			const isDelimiterOnly = shared && text.trim() === "";
+			if (inDescription && !isDelimiterOnly) {
+				lines.push({ line: end, character, text, shared });
+			}
+			if (close !== -1) {
+				break;
+			}
+		}
+		if (lines.some(({ text }) => text.trim() !== "")) {
+			blocks.push(createBlock(lines, continuation));
+		}
+		start = end;
+	}
+	return blocks;
+}
+
+// Scans a line of Python code from `from` for string literals and comments.
+// Returns the triple quote of a string still open at the end of the line, if
+// any, and whether the code on the line ends with a colon, e.g. a `def` or
+// `class` header.
+function scanPythonLine(line, from = 0, openQuote = null) {
+	let quote = openQuote;
+	let lastCode = "";
+	for (let index = from; index < line.length; index++) {
+		const char = line[index];
+		if (quote) {
+			if (char === "\\") {
+				index++;
+			} else if (line.startsWith(quote, index)) {
+				index += quote.length - 1;
+				quote = null;
+			}
+			lastCode = '"';
+		} else if (char === "#") {
+			break;
+		} else if (char === '"' || char === "'") {
+			const triple = char.repeat(3);
+			quote = line.startsWith(triple, index) ? triple : char;
+			index += quote.length - 1;
+			lastCode = '"';
+		} else if (char.trim() !== "") {
+			lastCode = char;
+		}
+	}
+	return {
+		openQuote: quote?.length === 3 ? quote : null,
+		endsWithColon: lastCode === ":",
+	};
+}
+
+// Python docstrings: string literals that are the first statement of a
+// module, class or function. Like PEP 257, the common indentation of the lines
+// after the first is removed.
+function extractDocstrings(hostLines) {
+	const blocks = [];
+	let openQuote = null;
+	let inDefinition = false;
+	let expectDocstring = true;
+	for (let start = 0; start < hostLines.length; start++) {
+		const hostLine = hostLines[start];
+		if (openQuote) {
+			({ openQuote } = scanPythonLine(hostLine, 0, openQuote));
+			continue;
+		}
+		if (!PYTHON_CODE_LINE_RE.test(hostLine)) {
+			continue;
+		}
+		const match = DOCSTRING_START_RE.exec(hostLine);
+		if (!match || !expectDocstring) {
+			expectDocstring = false;
+			inDefinition ||= PYTHON_DEFINITION_RE.test(hostLine);
+			const scan = scanPythonLine(hostLine);
+			openQuote = scan.openQuote;
+			if (inDefinition && scan.endsWithColon && !openQuote) {
+				inDefinition = false;
+				expectDocstring = true;
+			}
+			continue;
+		}
+		expectDocstring = false;
+
+		const quote = match[2];
+		let end = start;
+		while (
+			end < hostLines.length &&
+			hostLines[end].indexOf(quote, end === start ? match[0].length : 0) === -1
+		) {
+			end++;
+		}
+		const bodyLines = hostLines.slice(start + 1, end + 1);
+		const indent = Math.min(
+			...bodyLines
+				.filter((line) => line.trim() !== "")
+				.map((line) => line.length - line.trimStart().length),
+		);
+
+		const lines = [];
+		for (let index = start; index <= end && index < hostLines.length; index++) {
+			const line = hostLines[index];
+			const character =
+				index === start
+					? match[0].length
+					: Math.min(indent, line.length - line.trimStart().length);
+			const close = line.indexOf(quote, character);
+			const shared = index === start || close !== -1;
+			const text =
+				close === -1
+					? line.slice(character)
+					: line.slice(character, close).trimEnd();
+			if (!(shared && text.trim() === "")) {
+				lines.push({ line: index, character, text, shared });
+			}
+		}
+		if (lines.some(({ text }) => text.trim() !== "")) {
+			const continuation = Number.isFinite(indent)
+				? " ".repeat(indent)
+				: match[1];
+			blocks.push(createBlock(lines, continuation));
+		}
+		start = end;
+	}
+	return blocks;
+}
+
+/**
+ * Extracts the Markdown in the doc comments of a code document: JSDoc and
+ * TSDoc descriptions, or Python docstrings.
+ *
+ * @param {string} languageId Language ID of the document.
+ * @param {string} text Document text.
+ * @returns {{text: string, sourceMap: SourceMap}[]} A virtual Markdown
+ * document per comment, with the map of its lines to the host document.
+ */
+export function extractDocComments(languageId, text) {
+	if (!DOC_COMMENT_LANGUAGE_IDS.includes(languageId)) {
+		return [];
+	}
+	const hostLines = text.split(/\r?\n/);
+	return languageId === "python"
+		? extractDocstrings(hostLines)
+		: extractJsDocComments(hostLines);
+}
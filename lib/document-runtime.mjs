@@ -26,6 +26,7 @@ export class DocumentRuntime {
 			textDocument.text,
 		);
 		this.#documents.set(textDocument.uri, document);
+		this.#latestVersionByUri.set(textDocument.uri, document.version);
 		return document;
 	}
 
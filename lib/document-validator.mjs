@@ -2,20 +2,85 @@ import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { lint } from "markdownlint/promise";
 import { minimatch } from "minimatch";
-import { Diagnostic, DiagnosticSeverity } from "vscode-languageserver/node.js";
+import {
+	Diagnostic,
+	DiagnosticSeverity,
+	DiagnosticTag,
+} from "vscode-languageserver/node.js";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import {
+	findInlineDirectives,
+	getInlineConfigProblems,
+	withoutInlineDirective,
+} from "./inline-config.mjs";
+import { preprocessMarkdown } from "./language-preprocessors.mjs";
+import { toLintOptions } from "./lint-options.mjs";
 import { isIgnoredByMarkdownlintIgnore } from "./markdownlint-ignore.mjs";
 import mergeOptions from "./merge-options.mjs";
+import { resolveRuleSeverity } from "./rule-severity.mjs";
+
+/**
+ * Returns the UTF-16 range markdownlint reports for an issue.
+ *
+ * @param {import("markdownlint").LintError} issue Lint issue.
+ * @returns {import("vscode-languageserver").Range}
+ */
+export function getIssueRange(issue) {
+	const line = (issue.lineNumber || 1) - 1;
+	const [startChar, length] = issue.errorRange
+		? [(issue.errorRange[0] || 1) - 1, issue.errorRange[1]]
+		: [0, 1];
+
+	return {
+		start: { line, character: startChar },
+		end: { line, character: startChar + length },
+	};
+}
+
+// Rules that cannot apply to Markdown embedded in code: doc comments do not
+// start with a heading.
+const EMBEDDED_SKIPPED_RULES = ["MD041"];
+
+// Directives that only ever suppress issues, so an unused one can be removed
+// without changing the results.
+const SUPPRESSING_DIRECTIVES = ["disable", "disable-line", "disable-next-line"];
 
 export class DocumentValidator {
 	#codec;
 	#logger;
+	#warn;
+	#reportedWarnings = new Set();
 
-	constructor({ codec, logger = () => {} }) {
+	/**
+	 * @param {object} params
+	 * @param {Function} [params.logger] Trace logger.
+	 * @param {Function} [params.warn] Shows a warning to the user, e.g. about
+	 * options that cannot be applied; each distinct warning is shown once.
+	 */
+	constructor({ codec, logger = () => {}, warn = () => {} }) {
 		this.#codec = codec;
 		this.#logger = logger;
+		this.#warn = warn;
 	}
 
-	async validate({ document, documentOptions, settings, workspaceRoot }) {
+	/**
+	 * Lints a document with its configuration and settings.
+	 *
+	 * @param {object} params
+	 * @param {boolean} [params.reportUnusedDirectives] Whether to also report
+	 * `markdownlint-disable`, `-disable-line` and `-disable-next-line` comments
+	 * that suppress no issues. Each such directive costs an extra lint.
+	 * @returns {Promise<object>} Diagnostics in the client's position encoding
+	 * plus, in UTF-16, the issues, the diagnostics they map to and the unused
+	 * directives.
+	 */
+	async validate({
+		document,
+		documentOptions,
+		settings,
+		workspaceRoot,
+		reportUnusedDirectives = false,
+	}) {
 		const mergedOptions = mergeOptions(documentOptions, settings);
 
 		if (this.#isIgnored(document.uri, mergedOptions, workspaceRoot)) {
@@ -24,19 +89,39 @@ export class DocumentValidator {
 				ignored: true,
 				diagnostics: [],
 				issues: [],
-				diagnosticFixPairs: [],
+				diagnosticIssuePairs: [],
+				unusedDirectives: [],
 			};
 		}
 
-		const options = this.#buildLintOptions(document, mergedOptions);
-		const results = await lint(options);
-		const issues = results[document.uri] || [];
-		const { diagnostics, diagnosticFixPairs } = this.#buildDiagnostics(issues);
+		const options = this.#buildLintOptions(mergedOptions);
+		const lintIssues = await this.#lint(options, document, document.getText());
+		const { issues, diagnostics, diagnosticIssuePairs } =
+			this.#buildDiagnostics(lintIssues, mergedOptions.severity);
+		const unusedDirectives = [];
+		if (!options.noInlineConfig) {
+			diagnostics.push(
+				...this.#buildInlineConfigDiagnostics(document, mergedOptions),
+			);
+			if (reportUnusedDirectives) {
+				unusedDirectives.push(
+					...(await this.#findUnusedDirectives(
+						document,
+						options,
+						lintIssues.length,
+					)),
+				);
+				diagnostics.push(
+					...unusedDirectives.map(({ diagnostic }) => diagnostic),
+				);
+			}
+		}
 
 		return {
 			ignored: false,
 			issues,
-			diagnosticFixPairs,
+			diagnosticIssuePairs,
+			unusedDirectives,
 			diagnostics: this.#codec.convertDiagnosticsFromUtf16(
 				diagnostics,
 				document,
@@ -44,6 +129,88 @@ export class DocumentValidator {
 		};
 	}
 
+	/**
+	 * Lints Markdown embedded in a host document, e.g. doc comments in code,
+	 * as virtual documents and maps the results back to the host.
+	 *
+	 * @param {object} params
+	 * @param {{text: string, sourceMap: import("./source-map.mjs").SourceMap}[]} params.blocks
+	 * The embedded Markdown documents.
+	 * @returns {Promise<object>} The results of validate() for the host
+	 * document; unused directives are not reported.
+	 */
+	async validateEmbedded({
+		document,
+		blocks,
+		documentOptions,
+		settings,
+		workspaceRoot,
+	}) {
+		const hostResult = {
+			ignored: false,
+			issues: [],
+			diagnosticIssuePairs: [],
+			unusedDirectives: [],
+			diagnostics: [],
+		};
+		for (const { text, sourceMap } of blocks) {
+			const virtualDocument = TextDocument.create(
+				document.uri,
+				"markdown",
+				document.version,
+				text,
+			);
+			const result = await this.validate({
+				document: virtualDocument,
+				documentOptions,
+				settings,
+				workspaceRoot,
+			});
+			if (result.ignored) {
+				return result;
+			}
+
+			for (const { diagnostic, issue } of result.diagnosticIssuePairs) {
+				if (!EMBEDDED_SKIPPED_RULES.includes(issue.ruleNames[0])) {
+					const hostIssue = sourceMap.toHostIssue(issue);
+					hostResult.issues.push(hostIssue);
+					hostResult.diagnosticIssuePairs.push({
+						diagnostic: {
+							...diagnostic,
+							range: sourceMap.toHostRange(diagnostic.range),
+						},
+						issue: hostIssue,
+					});
+				}
+			}
+			for (const diagnostic of result.diagnostics) {
+				if (!EMBEDDED_SKIPPED_RULES.includes(diagnostic.code)) {
+					const { range } = this.#codec.convertDiagnosticToUtf16(
+						diagnostic,
+						virtualDocument,
+					);
+					hostResult.diagnostics.push({
+						...diagnostic,
+						range: sourceMap.toHostRange(range),
+					});
+				}
+			}
+		}
+		hostResult.diagnostics = this.#codec.convertDiagnosticsFromUtf16(
+			hostResult.diagnostics,
+			document,
+		);
+		return hostResult;
+	}
+
+	isIgnored({ uri, documentOptions, settings, workspaceRoot }) {
+		return this.#isIgnored(
+			uri,
+			mergeOptions(documentOptions, settings),
+			workspaceRoot,
+		);
+	}
+
 	#isIgnored(documentUri, mergedOptions, workspaceRoot) {
 		if (!documentUri.startsWith("file:")) {
 			return false;
@@ -59,9 +226,13 @@ export class DocumentValidator {
 				.relative(workspaceRoot, filePath)
 				.split(path.sep)
 				.join("/");
-			return settingsIgnores.some((pattern) =>
-				DocumentValidator.#matchesIgnorePattern(relPath, pattern),
-			);
+			if (
+				settingsIgnores.some((pattern) =>
+					DocumentValidator.#matchesIgnorePattern(relPath, pattern),
+				)
+			) {
+				return true;
+			}
 		}
 
 		if (
@@ -84,9 +255,16 @@ export class DocumentValidator {
 			}
 		}
 
-		return isIgnoredByMarkdownlintIgnore(
-			filePath,
-			mergedOptions._markdownlintIgnoreEntries,
+		return (
+			isIgnoredByMarkdownlintIgnore(
+				filePath,
+				mergedOptions._markdownlintIgnoreEntries,
+			) ||
+			(mergedOptions.gitignore === true &&
+				isIgnoredByMarkdownlintIgnore(
+					filePath,
+					mergedOptions._gitignoreEntries,
+				))
 		);
 	}
 
@@ -108,54 +286,135 @@ export class DocumentValidator {
 		);
 	}
 
-	#buildLintOptions(document, mergedOptions) {
-		const {
-			_ignoreEntries: _ignored,
-			_markdownlintIgnoreEntries: _markdownlintIgnored,
-			ignores: _settingsIgnores,
-			...lintOptions
-		} = mergedOptions;
+	#buildLintOptions(mergedOptions) {
+		const { lintOptions, problems, unsupportedKeys } =
+			toLintOptions(mergedOptions);
+		const warnings = [...(mergedOptions._configProblems ?? []), ...problems];
+		if (unsupportedKeys.length > 0) {
+			warnings.push(
+				`Ignoring unsupported markdownlint-cli2 options: ${unsupportedKeys.join(", ")}`,
+			);
+		}
+		for (const warning of warnings) {
+			this.#logger(warning);
+			// Traces repeat the warning for every document; the user sees it once.
+			if (!this.#reportedWarnings.has(warning)) {
+				this.#reportedWarnings.add(warning);
+				this.#warn(warning);
+			}
+		}
 
 		return {
 			...lintOptions,
-			strings: {
-				[document.uri]: document.getText(),
-			},
 			handleRuleFailures: true,
 		};
 	}
 
-	#buildDiagnostics(issues) {
-		const diagnostics = [];
-		const diagnosticFixPairs = [];
+	// Lints text of the document's language after masking the lines that are
+	// not Markdown, and drops the issues reported on those lines.
+	async #lint(lintOptions, document, text) {
+		const { text: markdown, maskedLines } = preprocessMarkdown(
+			document.languageId,
+			text,
+		);
+		const results = await lint({
+			...lintOptions,
+			strings: { [document.uri]: markdown },
+		});
+		return (results[document.uri] || []).filter(
+			(issue) => !maskedLines.has(issue.lineNumber),
+		);
+	}
+
+	// Inline configuration problems have no markdownlint issue, so they are
+	// reported without fixes or rule hovers.
+	#buildInlineConfigDiagnostics(document, mergedOptions) {
+		const allowUnknownRules =
+			Array.isArray(mergedOptions.customRules) &&
+			mergedOptions.customRules.length > 0;
+		return getInlineConfigProblems(document.getText(), {
+			allowUnknownRules,
+		}).map(({ offset, length, message, severity }) =>
+			Diagnostic.create(
+				{
+					start: document.positionAt(offset),
+					end: document.positionAt(offset + length),
+				},
+				message,
+				severity,
+				undefined,
+				"markdownlint",
+			),
+		);
+	}
 
-		for (const issue of issues) {
-			const line = (issue.lineNumber || 1) - 1;
-			const [startChar, length] = issue.errorRange
-				? [(issue.errorRange[0] || 1) - 1, issue.errorRange[1]]
-				: [0, 1];
+	// A directive is unused when linting without it reports no more issues.
+	async #findUnusedDirectives(document, lintOptions, issueCount) {
+		const text = document.getText();
+		const unusedDirectives = [];
+		for (const directive of findInlineDirectives(text)) {
+			if (!SUPPRESSING_DIRECTIVES.includes(directive.directive)) {
+				continue;
+			}
+			const issues = await this.#lint(
+				lintOptions,
+				document,
+				withoutInlineDirective(text, directive),
+			);
+			if (issues.length > issueCount) {
+				continue;
+			}
 
 			const diagnostic = Diagnostic.create(
 				{
-					start: { line, character: startChar },
-					end: { line, character: startChar + length },
+					start: document.positionAt(directive.offset),
+					end: document.positionAt(directive.offset + directive.length),
 				},
+				`Unused markdownlint-${directive.directive} directive (no issues suppressed)`,
+				DiagnosticSeverity.Hint,
+				undefined,
+				"markdownlint",
+			);
+			diagnostic.tags = [DiagnosticTag.Unnecessary];
+			unusedDirectives.push({ diagnostic, directive });
+		}
+		this.#logger(
+			`Found ${unusedDirectives.length} unused directives in ${document.uri}`,
+		);
+		return unusedDirectives;
+	}
+
+	#buildDiagnostics(lintIssues, severityMap) {
+		const issues = [];
+		const diagnostics = [];
+		const diagnosticIssuePairs = [];
+
+		for (const issue of lintIssues) {
+			const severity = resolveRuleSeverity(
+				issue.ruleNames,
+				severityMap,
+				this.#logger,
+			);
+			if (severity === null) {
+				continue;
+			}
+
+			const diagnostic = Diagnostic.create(
+				getIssueRange(issue),
 				`${issue.ruleDescription} (${issue.ruleNames.join("/")})`,
-				DiagnosticSeverity.Warning,
+				severity,
 				issue.ruleNames[0],
 				"markdownlint",
 			);
+			if (issue.ruleInformation) {
+				diagnostic.codeDescription = { href: issue.ruleInformation };
+			}
 
+			issues.push(issue);
 			diagnostics.push(diagnostic);
-
-			if (issue.fixInfo) {
-				diagnosticFixPairs.push({
-					diagnostic,
-					fixInfo: issue.fixInfo,
-				});
-			}
+			diagnosticIssuePairs.push({ diagnostic, issue });
 		}
 
-		return { diagnostics, diagnosticFixPairs };
+		return { issues, diagnostics, diagnosticIssuePairs };
 	}
 }
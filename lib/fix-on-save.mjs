@@ -0,0 +1,54 @@
+import { findRule } from "./rule-metadata.mjs";
+
+function toNameList(value) {
+	return Array.isArray(value)
+		? value.filter((name) => typeof name === "string")
+		: null;
+}
+
+function matchesAny(ruleNames, names) {
+	const upperNames = new Set(names.map((name) => name.toUpperCase()));
+	const tags = findRule(ruleNames[0])?.tags ?? [];
+	return [...ruleNames, ...tags].some((name) =>
+		upperNames.has(name.toUpperCase()),
+	);
+}
+
+/**
+ * Normalizes the `fixOnSave` setting, which is either a boolean or an object
+ * with optional `allow` and `deny` lists of rule names, aliases or tags.
+ *
+ * @param {boolean|object} [setting] The `fixOnSave` setting.
+ * @returns {{allow: string[]|null, deny: string[]}|null} The normalized
+ * setting, or null when fix-on-save is disabled.
+ */
+export function resolveFixOnSave(setting) {
+	if (setting === true) {
+		return { allow: null, deny: [] };
+	}
+	if (!setting || typeof setting !== "object" || setting.enabled === false) {
+		return null;
+	}
+	return {
+		allow: toNameList(setting.allow),
+		deny: toNameList(setting.deny) ?? [],
+	};
+}
+
+/**
+ * Selects the issues fix-on-save may fix. Deny entries win over allow
+ * entries; without an allow list every rule is allowed.
+ *
+ * @param {Object[]} issues markdownlint issues.
+ * @param {{allow: string[]|null, deny: string[]}} fixOnSave The normalized
+ * `fixOnSave` setting.
+ * @returns {Object[]} Fixable issues of the allowed rules.
+ */
+export function selectFixOnSaveIssues(issues, fixOnSave) {
+	return issues.filter(
+		(issue) =>
+			issue.fixInfo &&
+			(!fixOnSave.allow || matchesAny(issue.ruleNames, fixOnSave.allow)) &&
+			!matchesAny(issue.ruleNames, fixOnSave.deny),
+	);
+}
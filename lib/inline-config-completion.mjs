@@ -0,0 +1,69 @@
+import { CompletionItemKind, TextEdit } from "vscode-languageserver/node.js";
+import {
+	getInlineCompletionContext,
+	INLINE_DIRECTIVES,
+} from "./inline-config.mjs";
+import { getRuleNameEntries } from "./rule-metadata.mjs";
+
+export class InlineConfigCompletion {
+	#codec;
+	#logger;
+
+	constructor({ codec, logger = () => {} }) {
+		this.#codec = codec;
+		this.#logger = logger;
+	}
+
+	build({ document, position }) {
+		const offset = document.offsetAt(
+			this.#codec.convertPositionToUtf16(position, document),
+		);
+		const context = getInlineCompletionContext(document.getText(), offset);
+		if (!context) {
+			return null;
+		}
+
+		const entries =
+			context.kind === "directive"
+				? this.#getDirectiveEntries()
+				: this.#getRuleEntries();
+		this.#logger(
+			`Inline configuration completion in ${document.uri}: ${entries.length} ${context.kind} items`,
+		);
+
+		const range = this.#codec.convertRangeFromUtf16(
+			{
+				start: document.positionAt(context.offset),
+				end: document.positionAt(context.offset + context.length),
+			},
+			document,
+		);
+		return entries.map(({ label, kind, detail, documentation }, index) => ({
+			label,
+			kind,
+			detail,
+			documentation,
+			sortText: String(index).padStart(4, "0"),
+			textEdit: TextEdit.replace(range, label),
+		}));
+	}
+
+	#getDirectiveEntries() {
+		return Object.entries(INLINE_DIRECTIVES).map(
+			([directive, documentation]) => ({
+				label: `markdownlint-${directive}`,
+				kind: CompletionItemKind.Keyword,
+				documentation,
+			}),
+		);
+	}
+
+	#getRuleEntries() {
+		return getRuleNameEntries().map(({ name, detail, documentation }) => ({
+			label: name,
+			kind: CompletionItemKind.Value,
+			detail,
+			documentation,
+		}));
+	}
+}
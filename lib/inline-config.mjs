@@ -0,0 +1,261 @@
+import { parseTree, printParseErrorCode } from "jsonc-parser";
+import { DiagnosticSeverity } from "vscode-languageserver/node.js";
+import { findConfigPropertySchema, validateValue } from "./config-schema.mjs";
+import { findRule, getRuleMetadata } from "./rule-metadata.mjs";
+
+// Directives recognized by markdownlint; see "Configuration" in its README.
+export const INLINE_DIRECTIVES = {
+	disable: "Disables the listed rules (or all rules) from this point on",
+	enable: "Enables the listed rules (or all rules) from this point on",
+	capture: "Saves the current rule configuration",
+	restore: "Restores the rule configuration saved by markdownlint-capture",
+	"disable-file": "Disables the listed rules (or all rules) for the file",
+	"enable-file": "Enables the listed rules (or all rules) for the file",
+	"disable-line": "Disables the listed rules (or all rules) for this line",
+	"disable-next-line":
+		"Disables the listed rules (or all rules) for the next line",
+	"configure-file": "Configures rules for the file with a JSON object",
+};
+
+// Directives whose parameter is a list of rule names, aliases or tags.
+const RULE_LIST_DIRECTIVES = [
+	"disable",
+	"enable",
+	"disable-file",
+	"enable-file",
+	"disable-line",
+	"disable-next-line",
+];
+
+// Mirrors `inlineCommentStartRe` from markdownlint/helpers, longest directive
+// names first so that e.g. "disable-line" is not read as "disable".
+const DIRECTIVE_PATTERN = new RegExp(
+	`<!--\\s*markdownlint-(${Object.keys(INLINE_DIRECTIVES)
+		.sort((a, b) => b.length - a.length)
+		.join("|")})(?=\\s|-->)`,
+	"gi",
+);
+const COMMENT_END = "-->";
+const RULE_NAME_PATTERN = /\S+/g;
+const DIRECTIVE_PREFIX = /<!--\s*([\w-]*)$/;
+const RULE_LIST_PREFIX = /<!--\s*markdownlint-([\w-]+)\s(?:[^>]*\s)?([^\s>]*)$/;
+
+/**
+ * Finds the inline configuration comments of a Markdown document. Like
+ * markdownlint, only `configure-file` comments may span several lines.
+ *
+ * @param {string} text Document text.
+ * @returns {Array<{directive: string, offset: number, length: number, parameter: string, parameterOffset: number}>}
+ * Directive names are lower-cased; `offset` and `length` span the whole
+ * comment and all offsets are UTF-16 offsets into `text`.
+ */
+export function findInlineDirectives(text) {
+	const directives = [];
+	for (const match of text.matchAll(DIRECTIVE_PATTERN)) {
+		const directive = match[1].toLowerCase();
+		const parameterOffset = match.index + match[0].length;
+		const end = text.indexOf(COMMENT_END, parameterOffset);
+		if (end === -1) {
+			continue;
+		}
+		const parameter = text.slice(parameterOffset, end);
+		if (directive !== "configure-file" && parameter.includes("\n")) {
+			continue;
+		}
+		directives.push({
+			directive,
+			offset: match.index,
+			length: end + COMMENT_END.length - match.index,
+			parameter,
+			parameterOffset,
+		});
+	}
+	return directives;
+}
+
+/**
+ * Returns the text with one inline directive turned into a plain comment of
+ * the same length, so positions of everything else are unchanged.
+ *
+ * @param {string} text Document text.
+ * @param {{parameterOffset: number, directive: string}} directive A directive
+ * returned by {@link findInlineDirectives}.
+ * @returns {string}
+ */
+export function withoutInlineDirective(text, { directive, parameterOffset }) {
+	// "markdownlint_disable" is no longer recognized by markdownlint.
+	const hyphen = parameterOffset - directive.length - 1;
+	return `${text.slice(0, hyphen)}_${text.slice(hyphen + 1)}`;
+}
+
+/**
+ * Returns the range to delete when removing an inline directive: the whole
+ * line when the comment is alone on it, otherwise the comment and the
+ * whitespace before it.
+ *
+ * @param {string} text Document text.
+ * @param {{offset: number, length: number}} directive A directive returned by
+ * {@link findInlineDirectives}.
+ * @returns {{offset: number, length: number}}
+ */
+export function getInlineDirectiveRemoval(text, { offset, length }) {
+	const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+	const newline = text.indexOf("\n", offset + length);
+	const lineEnd = newline === -1 ? text.length : newline;
+	const before = text.slice(lineStart, offset);
+	const after = text.slice(offset + length, lineEnd);
+	if (before.trim() === "" && after.trim() === "") {
+		const end = newline === -1 ? lineEnd : newline + 1;
+		return { offset: lineStart, length: end - lineStart };
+	}
+	const start = offset - (before.length - before.trimEnd().length);
+	return { offset: start, length: offset + length - start };
+}
+
+/**
+ * Whether a name refers to a built-in rule (by identifier or alias) or tag,
+ * ignoring case like markdownlint does.
+ *
+ * @param {string} name Name used in an inline directive.
+ * @returns {boolean}
+ */
+export function isKnownRuleName(name) {
+	if (findRule(name)) {
+		return true;
+	}
+	const upperName = name.toUpperCase();
+	return [...getRuleMetadata().tags.keys()].some(
+		(tag) => tag.toUpperCase() === upperName,
+	);
+}
+
+function getRuleListProblems({ parameter, parameterOffset }) {
+	const problems = [];
+	for (const match of parameter.matchAll(RULE_NAME_PATTERN)) {
+		if (!isKnownRuleName(match[0])) {
+			problems.push({
+				offset: parameterOffset + match.index,
+				length: match[0].length,
+				message: `Unknown rule or tag "${match[0]}".`,
+				severity: DiagnosticSeverity.Warning,
+			});
+		}
+	}
+	return problems;
+}
+
+function getConfigureFileProblems(
+	{ parameter, parameterOffset },
+	allowUnknownRules,
+) {
+	const parseErrors = [];
+	const root = parseTree(parameter, parseErrors, { disallowComments: true });
+	if (parseErrors.length > 0) {
+		return parseErrors.map((error) => ({
+			offset: parameterOffset + error.offset,
+			length: error.length,
+			message: `JSON syntax error: ${printParseErrorCode(error.error)}`,
+			severity: DiagnosticSeverity.Error,
+		}));
+	}
+	if (root?.type !== "object") {
+		return [
+			{
+				offset: parameterOffset + (root?.offset ?? 0),
+				length: root?.length ?? parameter.length,
+				message: "Expected an object.",
+				severity: DiagnosticSeverity.Error,
+			},
+		];
+	}
+
+	const problems = [];
+	for (const property of root.children) {
+		const [keyNode, valueNode] = property.children;
+		const schema = findConfigPropertySchema(keyNode.value);
+		if (!schema) {
+			if (!allowUnknownRules) {
+				problems.push({
+					node: keyNode,
+					message: `Unknown rule or tag "${keyNode.value}".`,
+				});
+			}
+		} else if (valueNode) {
+			problems.push(...validateValue(valueNode, schema));
+		}
+	}
+	return problems.map(({ node, message }) => ({
+		offset: parameterOffset + node.offset,
+		length: node.length,
+		message,
+		severity: DiagnosticSeverity.Warning,
+	}));
+}
+
+/**
+ * Checks the inline configuration comments of a Markdown document for names
+ * markdownlint does not know and for `configure-file` parameters it cannot
+ * parse (which markdownlint silently ignores).
+ *
+ * @param {string} text Document text.
+ * @param {object} [options]
+ * @param {boolean} [options.allowUnknownRules] Whether unknown names are
+ * accepted, e.g. because custom rules are configured.
+ * @returns {Array<{offset: number, length: number, message: string, severity: number}>}
+ */
+export function getInlineConfigProblems(
+	text,
+	{ allowUnknownRules = false } = {},
+) {
+	const problems = [];
+	for (const directive of findInlineDirectives(text)) {
+		if (directive.directive === "configure-file") {
+			problems.push(...getConfigureFileProblems(directive, allowUnknownRules));
+		} else if (
+			!allowUnknownRules &&
+			RULE_LIST_DIRECTIVES.includes(directive.directive)
+		) {
+			problems.push(...getRuleListProblems(directive));
+		}
+	}
+	return problems;
+}
+
+/**
+ * Determines what may be completed at an offset inside an inline
+ * configuration comment that is being typed.
+ *
+ * @param {string} text Document text.
+ * @param {number} offset Offset of the cursor.
+ * @returns {{kind: "directive"|"rule", offset: number, length: number}|null}
+ * Whether a directive name or a rule name is expected and the range of the
+ * word it replaces, or null outside inline configuration comments.
+ */
+export function getInlineCompletionContext(text, offset) {
+	const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+	const linePrefix = text.slice(lineStart, offset);
+	const commentStart = linePrefix.lastIndexOf("<!--");
+	if (
+		commentStart === -1 ||
+		linePrefix.indexOf(COMMENT_END, commentStart) !== -1
+	) {
+		return null;
+	}
+	const commentPrefix = linePrefix.slice(commentStart);
+	let wordEnd = offset;
+	while (wordEnd < text.length && /[\w-]/.test(text[wordEnd])) {
+		wordEnd += 1;
+	}
+
+	const directiveMatch = commentPrefix.match(DIRECTIVE_PREFIX);
+	if (directiveMatch) {
+		const start = offset - directiveMatch[1].length;
+		return { kind: "directive", offset: start, length: wordEnd - start };
+	}
+	const ruleMatch = commentPrefix.match(RULE_LIST_PREFIX);
+	if (ruleMatch && RULE_LIST_DIRECTIVES.includes(ruleMatch[1].toLowerCase())) {
+		const start = offset - ruleMatch[2].length;
+		return { kind: "rule", offset: start, length: wordEnd - start };
+	}
+	return null;
+}
@@ -0,0 +1,181 @@
+export const DEFAULT_LANGUAGE_IDS = ["markdown"];
+
+// Replaces masked lines. An HTML comment keeps block structure (it ends a
+// paragraph like the construct it replaces) and is skipped by rules such as
+// MD033 and MD041.
+const MASKED_LINE = "<!-- -->";
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const FRONT_MATTER_FENCE_RE = /^(---|\+\+\+)\s*$/;
+const ESM_RE = /^(import|export)\s/;
+const JSX_START_RE = /^<(\/?[A-Za-z][\w.:-]*|\/?>)/;
+// ```{r label, echo=FALSE}, ```{python} and ```{{r}} chunk headers, plus
+// ```{=html} raw blocks and ```{.python} display blocks.
+const CHUNK_HEADER_RE =
+	/^( {0,3})(`{3,})\s*\{{1,2}\s*[=.]?([\w-]*)[^}]*\}{1,2}\s*$/;
+
+/**
+ * Normalizes the `languageIds` setting: the language IDs of documents to lint.
+ *
+ * @param {string[]} [setting] The `languageIds` setting.
+ * @returns {string[]} The language IDs, or the default when the setting is
+ * not a list.
+ */
+export function resolveLanguageIds(setting) {
+	return Array.isArray(setting)
+		? setting.filter((languageId) => typeof languageId === "string")
+		: DEFAULT_LANGUAGE_IDS;
+}
+
+// Returns the number of lines in the front matter block at the start of a
+// document, which markdownlint skips itself.
+function getFrontMatterLength(lines) {
+	if (!FRONT_MATTER_FENCE_RE.test(lines[0] ?? "")) {
+		return 0;
+	}
+	const end = lines.findIndex(
+		(line, index) => index > 0 && line.trim() === lines[0].trim(),
+	);
+	return end === -1 ? 0 : end + 1;
+}
+
+// Tracks fenced code blocks so nothing inside them is masked. Returns "open",
+// "inside" or "close" for fence lines, or null for other lines.
+function createFenceTracker() {
+	let fence = null;
+	return (line) => {
+		const match = FENCE_RE.exec(line);
+		if (fence) {
+			if (
+				match &&
+				match[1][0] === fence[0] &&
+				match[1].length >= fence.length &&
+				line.slice(match[0].length).trim() === ""
+			) {
+				fence = null;
+				return "close";
+			}
+			return "inside";
+		}
+		// Backtick fences cannot have backticks in their info string.
+		if (
+			match &&
+			!(match[1][0] === "`" && line.includes("`", match[0].length))
+		) {
+			fence = match[1];
+			return "open";
+		}
+		return null;
+	};
+}
+
+// Advances the JSX scanner over a line: an unclosed tag (e.g. attributes on
+// the following lines) or expression continues onto the next line.
+function scanJsx(text, state) {
+	for (let index = 0; index < text.length; index++) {
+		const char = text[index];
+		if (state.quote) {
+			if (char === state.quote) {
+				state.quote = null;
+			}
+		} else if (state.depth > 0 || state.inTag) {
+			if (char === '"' || char === "'" || char === "`") {
+				state.quote = char;
+			} else if (char === "{") {
+				state.depth++;
+			} else if (char === "}") {
+				state.depth = Math.max(0, state.depth - 1);
+			} else if (char === ">" && state.depth === 0) {
+				state.inTag = false;
+			}
+		} else if (char === "{") {
+			state.depth++;
+		} else if (char === "<" && /[A-Za-z/>]/.test(text[index + 1] ?? "")) {
+			state.inTag = true;
+		}
+	}
+}
+
+// MDX: ESM blocks (`import`/`export` until a blank line) and lines starting
+// with JSX tags or `{expressions}`, including their continuation lines. JSX
+// within text is left to MD033, whose allowed_elements can list components.
+function maskMdx(lines, maskedLines) {
+	const trackFence = createFenceTracker();
+	const jsx = { inTag: false, depth: 0, quote: null };
+	const start = getFrontMatterLength(lines);
+	let inEsm = false;
+	for (let index = start; index < lines.length; index++) {
+		const line = lines[index];
+		const trimmed = line.trimStart();
+		if (inEsm) {
+			inEsm = trimmed !== "";
+		} else if (jsx.inTag || jsx.depth > 0) {
+			scanJsx(line, jsx);
+		} else if (trackFence(line)) {
+			continue;
+		} else if (
+			ESM_RE.test(line) &&
+			(index === start || !lines[index - 1].trim())
+		) {
+			inEsm = true;
+		} else if (JSX_START_RE.test(trimmed) || trimmed.startsWith("{")) {
+			scanJsx(trimmed, jsx);
+		} else {
+			continue;
+		}
+		if (trimmed !== "") {
+			lines[index] = MASKED_LINE;
+			maskedLines.add(index + 1);
+		}
+	}
+}
+
+// Quarto and R Markdown: executable code chunk headers become plain fences
+// with the engine as the language, e.g. ```{r setup} becomes ```r.
+function maskCodeChunkHeaders(lines, maskedLines) {
+	const trackFence = createFenceTracker();
+	for (let index = getFrontMatterLength(lines); index < lines.length; index++) {
+		const match = CHUNK_HEADER_RE.exec(lines[index]);
+		if (trackFence(lines[index]) === "open" && match) {
+			lines[index] = `${match[1]}${match[2]}${match[3]}`;
+			maskedLines.add(index + 1);
+		}
+	}
+}
+
+const PREPROCESSORS = {
+	mdx: maskMdx,
+	quarto: maskCodeChunkHeaders,
+	rmd: maskCodeChunkHeaders,
+	rmarkdown: maskCodeChunkHeaders,
+};
+
+/**
+ * Prepares the text of a document in a Markdown-based language for
+ * markdownlint by masking the lines that are not Markdown, e.g. JSX in MDX,
+ * so rules do not misfire on them. Masked lines keep their line numbers, and
+ * other lines are unchanged, so issue positions need no mapping; issues on
+ * masked lines should be dropped.
+ *
+ * @param {string} languageId Language ID of the document.
+ * @param {string} text Document text.
+ * @returns {{text: string, maskedLines: Set<number>}} The text to lint and
+ * the 1-based numbers of the masked lines.
+ */
+export function preprocessMarkdown(languageId, text) {
+	const maskedLines = new Set();
+	const preprocess = PREPROCESSORS[languageId];
+	if (!preprocess) {
+		return { text, maskedLines };
+	}
+	const lines = text.split(/(?<=\r?\n)/);
+	const eols = lines.map((line) => line.match(/\r?\n$/)?.[0] ?? "");
+	const contents = lines.map((line, index) =>
+		line.slice(0, line.length - eols[index].length),
+	);
+	preprocess(contents, maskedLines);
+	return {
+		text: contents.map((line, index) => line + eols[index]).join(""),
+		maskedLines,
+	};
+}
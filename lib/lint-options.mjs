@@ -0,0 +1,101 @@
+import { createMarkdownItFactory } from "./markdown-it-plugins.mjs";
+
+// markdownlint-cli2 options that only affect the command line (which files
+// are found, how results are printed, whether files are fixed) or that are
+// consumed while loading configuration; they have no meaning for linting a
+// single document.
+const CLI_ONLY_OPTIONS = [
+	"$schema",
+	"fix",
+	"modulePaths",
+	"noBanner",
+	"noProgress",
+	"outputFormatters",
+	"showFound",
+];
+
+// Options applied by this server outside of lint (see DocumentValidator).
+const SERVER_OPTIONS = ["gitignore", "ignores", "severity"];
+
+function toFrontMatter(value, problems) {
+	if (value === null || value instanceof RegExp) {
+		return value;
+	}
+	if (typeof value !== "string") {
+		problems.push("Ignoring frontMatter: expected a regular expression string");
+		return undefined;
+	}
+	try {
+		// markdownlint-cli2 compiles the pattern the same way.
+		return new RegExp(value, "u");
+	} catch (error) {
+		problems.push(`Ignoring frontMatter: ${error.message}`);
+		return undefined;
+	}
+}
+
+/**
+ * Translates merged markdownlint-cli2 options (configuration files plus
+ * settings) into markdownlint `lint` options.
+ *
+ * - `config`, `customRules` and `noInlineConfig` are passed through.
+ * - `frontMatter` strings are compiled to regular expressions.
+ * - `markdownItPlugins` become a `markdownItFactory`.
+ * - Command-line only options are dropped, as are `gitignore`, `ignores` and
+ *   `severity`, which the server applies itself, and internal `_`-prefixed entries.
+ *   A `gitignore` glob pattern of ignore files is reported as a problem, as
+ *   only `true` is supported.
+ * - Anything else (including `globs`) cannot be honored for a single
+ *   document and is reported as unsupported.
+ *
+ * @param {object} options Merged markdownlint-cli2 options.
+ * @returns {{lintOptions: object, problems: string[], unsupportedKeys: string[]}}
+ * The lint options (without `strings`), messages about values that could not
+ * be converted, and the keys that were not applied.
+ */
+export function toLintOptions(options) {
+	const lintOptions = {
+		markdownItFactory: createMarkdownItFactory(options.markdownItPlugins),
+	};
+	const problems = [];
+	const unsupportedKeys = [];
+
+	for (const [key, value] of Object.entries(options)) {
+		if (
+			key.startsWith("_") ||
+			key === "markdownItPlugins" ||
+			CLI_ONLY_OPTIONS.includes(key) ||
+			SERVER_OPTIONS.includes(key)
+		) {
+			continue;
+		}
+		switch (key) {
+			case "config":
+			case "customRules":
+				lintOptions[key] = value;
+				break;
+			case "noInlineConfig":
+				lintOptions.noInlineConfig = value === true;
+				break;
+			case "frontMatter": {
+				const frontMatter = toFrontMatter(value, problems);
+				if (frontMatter !== undefined) {
+					lintOptions.frontMatter = frontMatter;
+				}
+				break;
+			}
+			default:
+				unsupportedKeys.push(key);
+		}
+	}
+
+	// Only the .gitignore files between a document and its workspace root are
+	// read (see loadConfig), so markdownlint-cli2's glob form is not honored.
+	if (typeof options.gitignore === "string") {
+		problems.push(
+			"Ignoring gitignore: glob patterns of ignore files are not supported, only true",
+		);
+	}
+
+	return { lintOptions, problems, unsupportedKeys };
+}
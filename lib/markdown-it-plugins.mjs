@@ -0,0 +1,85 @@
+import { importModule, resolveModulePath } from "./module-loader.mjs";
+
+/**
+ * Loads the plugins listed in a markdownlint-cli2 `markdownItPlugins` option,
+ * where each entry is an array of a module name or path followed by the
+ * plugin's parameters. Modules are resolved from `baseDir` and only loaded
+ * when JavaScript configuration is allowed; entries that fail to load are
+ * skipped.
+ *
+ * @param {Array<Array<unknown>>} markdownItPlugins Plugin entries.
+ * @param {string} baseDir Directory to resolve modules from.
+ * @param {object} [options]
+ * @param {Function} [options.logger] Optional logger function.
+ * @param {boolean} [options.allowJavaScriptConfig] Whether modules may be
+ * loaded.
+ * @param {string[]} [options.modulePaths] Additional directories to resolve
+ * module names from (markdownlint-cli2's `modulePaths`).
+ * @param {string[]} [options.loadedFiles] Receives the paths of the modules
+ * resolved, whether or not they load, so they can be watched for changes.
+ * @returns {Promise<Array<[Function, ...unknown[]]>>} Plugins and their
+ * parameters, ready for `markdownIt.use`.
+ */
+export async function loadMarkdownItPlugins(
+	markdownItPlugins,
+	baseDir,
+	{
+		logger = () => {},
+		allowJavaScriptConfig = false,
+		modulePaths = [],
+		loadedFiles = [],
+	} = {},
+) {
+	if (!Array.isArray(markdownItPlugins)) {
+		return [];
+	}
+
+	const plugins = [];
+	for (const entry of markdownItPlugins) {
+		const [plugin, ...params] = [entry].flat();
+		if (typeof plugin === "function") {
+			plugins.push([plugin, ...params]);
+			continue;
+		}
+		if (typeof plugin !== "string") {
+			logger(`Skipping invalid markdown-it plugin: ${JSON.stringify(entry)}`);
+			continue;
+		}
+		if (!allowJavaScriptConfig) {
+			logger(`Skipping markdown-it plugin module: ${plugin}`, true);
+			continue;
+		}
+		try {
+			const modulePath = resolveModulePath(plugin, baseDir, modulePaths);
+			loadedFiles.push(modulePath);
+			plugins.push([await importModule(modulePath), ...params]);
+			logger(`Loaded markdown-it plugin from ${modulePath}`, true);
+		} catch (error) {
+			logger(`Error loading markdown-it plugin ${plugin}: ${error}`, true);
+		}
+	}
+	return plugins;
+}
+
+/**
+ * Creates the `markdownItFactory` lint option the way markdownlint-cli2 does:
+ * an HTML-enabled markdown-it parser using the loaded plugins. markdown-it is
+ * only imported once a rule needs it.
+ *
+ * @param {Array<Array<unknown>>} [plugins] Plugins and their parameters, as
+ * returned by {@link loadMarkdownItPlugins}; unloaded entries are ignored.
+ * @returns {() => Promise<object>}
+ */
+export function createMarkdownItFactory(plugins = []) {
+	const loadedPlugins = plugins.filter(
+		(entry) => Array.isArray(entry) && typeof entry[0] === "function",
+	);
+	return async () => {
+		const { default: markdownIt } = await import("markdown-it");
+		const parser = markdownIt({ html: true });
+		for (const [plugin, ...params] of loadedPlugins) {
+			parser.use(plugin, ...params);
+		}
+		return parser;
+	};
+}
@@ -3,27 +3,26 @@ import path from "node:path";
 import ignore from "ignore";
 
 export const MARKDOWNLINT_IGNORE_FILENAME = ".markdownlintignore";
+export const GITIGNORE_FILENAME = ".gitignore";
 
 function toPosixPath(filePath) {
 	return filePath.split(path.sep).join("/");
 }
 
 /**
- * Loads `.markdownlintignore` files from the given directories.
+ * Loads gitignore-style files with the given name from the given directories.
  *
  * @param {string[]} directories Directories to search, ordered from closest to
  * the file toward the workspace root.
+ * @param {string} filename Name of the ignore file to look for.
  * @param {Function} [logger=()=>{}] Optional logger function.
  * @returns {Promise<Array<{dir: string, ignoreInstance: import("ignore").Ignore}>>}
  */
-export async function loadMarkdownlintIgnoreEntries(
-	directories,
-	logger = () => {},
-) {
+async function loadIgnoreFileEntries(directories, filename, logger) {
 	const entries = [];
 
 	for (const dir of directories) {
-		const ignorePath = path.join(dir, MARKDOWNLINT_IGNORE_FILENAME);
+		const ignorePath = path.join(dir, filename);
 		try {
 			const content = await fs.readFile(ignorePath, "utf8");
 			const ignoreInstance = ignore().add(content);
@@ -40,8 +39,38 @@ export async function loadMarkdownlintIgnoreEntries(
 }
 
 /**
- * Returns whether a file path is ignored by any ancestor `.markdownlintignore`
- * file, using gitignore-style rules relative to each ignore file's directory.
+ * Loads `.markdownlintignore` files from the given directories.
+ *
+ * @param {string[]} directories Directories to search, ordered from closest to
+ * the file toward the workspace root.
+ * @param {Function} [logger=()=>{}] Optional logger function.
+ * @returns {Promise<Array<{dir: string, ignoreInstance: import("ignore").Ignore}>>}
+ */
+export function loadMarkdownlintIgnoreEntries(directories, logger = () => {}) {
+	return loadIgnoreFileEntries(
+		directories,
+		MARKDOWNLINT_IGNORE_FILENAME,
+		logger,
+	);
+}
+
+/**
+ * Loads `.gitignore` files from the given directories, for markdownlint-cli2's
+ * `gitignore` option.
+ *
+ * @param {string[]} directories Directories to search, ordered from closest to
+ * the file toward the workspace root.
+ * @param {Function} [logger=()=>{}] Optional logger function.
+ * @returns {Promise<Array<{dir: string, ignoreInstance: import("ignore").Ignore}>>}
+ */
+export function loadGitignoreEntries(directories, logger = () => {}) {
+	return loadIgnoreFileEntries(directories, GITIGNORE_FILENAME, logger);
+}
+
+/**
+ * Returns whether a file path is ignored by any ancestor ignore file
+ * (`.markdownlintignore` or `.gitignore`), using gitignore-style rules
+ * relative to each ignore file's directory.
  *
  * @param {string} filePath Absolute path to the file being validated.
  * @param {Array<{dir: string, ignoreInstance: import("ignore").Ignore}>} ignoreEntries
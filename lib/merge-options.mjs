@@ -1,7 +1,8 @@
-// Copied from https://github.com/DavidAnson/markdownlint-cli2/blob/main/merge-options.mjs
+// Adapted from https://github.com/DavidAnson/markdownlint-cli2/blob/main/merge-options.mjs
 
 /**
- * Merges two options objects by combining config and replacing properties.
+ * Merges two options objects by combining config and severity and replacing
+ * other properties.
  * @param {object} first First options object.
  * @param {object} second Second options object.
  * @returns {object} Merged options object.
@@ -19,6 +20,14 @@ const mergeOptions = (first, second) => {
 			...secondConfig,
 		};
 	}
+	const firstSeverity = first?.severity;
+	const secondSeverity = second?.severity;
+	if (firstSeverity || secondSeverity) {
+		merged.severity = {
+			...firstSeverity,
+			...secondSeverity,
+		};
+	}
 	return merged;
 };
 
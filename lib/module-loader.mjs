@@ -0,0 +1,46 @@
+import fs from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+/**
+ * Resolves a module named in configuration the way markdownlint-cli2 does:
+ * paths relative to `baseDir`, package names from `baseDir` and the extra
+ * `modulePaths`.
+ *
+ * @param {string} name Module name or path.
+ * @param {string} baseDir Directory of the configuration naming the module.
+ * @param {string[]} [modulePaths] Additional directories to resolve package
+ * names from, relative to `baseDir`.
+ * @returns {string} Absolute path of the module.
+ */
+export function resolveModulePath(name, baseDir, modulePaths = []) {
+	if (path.isAbsolute(name) || name.startsWith(".")) {
+		return path.resolve(baseDir, name);
+	}
+	const require = createRequire(path.join(baseDir, "noop.js"));
+	return require.resolve(name, {
+		paths: [
+			baseDir,
+			...modulePaths.map((modulePath) => path.resolve(baseDir, modulePath)),
+		],
+	});
+}
+
+/**
+ * Imports a module, bypassing the module cache once the file changes so
+ * edits are picked up when configuration is reloaded. The cache key is the
+ * file's modification time: every import creates a module instance that is
+ * never freed, so an unchanged module is reused.
+ *
+ * @param {string} modulePath Absolute path of the module.
+ * @returns {Promise<unknown>} The default export, or the module namespace
+ * when there is none.
+ */
+export async function importModule(modulePath) {
+	const url = pathToFileURL(modulePath);
+	const { mtimeMs } = await fs.stat(modulePath);
+	url.search = `?mtime=${mtimeMs}`;
+	const moduleExports = await import(url.href);
+	return moduleExports.default ?? moduleExports;
+}
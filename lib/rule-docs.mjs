@@ -0,0 +1,38 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MARKDOWNLINT_PACKAGE_DIR } from "./rule-metadata.mjs";
+
+// The markdownlint package ships its rule documentation alongside the
+// library, so hover content stays in sync with the installed rules and never
+// needs network access.
+const RULE_DOCS_DIR = path.join(MARKDOWNLINT_PACKAGE_DIR, "doc");
+const RULE_ID_PATTERN = /^MD\d{3}$/i;
+
+const ruleDocsCache = new Map();
+
+/**
+ * Reads the bundled documentation for a built-in rule.
+ *
+ * @param {string} ruleId Rule identifier (e.g. "MD013").
+ * @param {Function} [logger=()=>{}] Optional logger function.
+ * @returns {Promise<string|null>} The rule documentation as Markdown, or null
+ * when the rule has no bundled documentation (e.g. custom rules).
+ */
+export async function getRuleDocumentation(ruleId, logger = () => {}) {
+	if (!RULE_ID_PATTERN.test(ruleId)) {
+		return null;
+	}
+
+	const key = ruleId.toLowerCase();
+	if (!ruleDocsCache.has(key)) {
+		const docPath = path.join(RULE_DOCS_DIR, `${key}.md`);
+		try {
+			ruleDocsCache.set(key, await fs.readFile(docPath, "utf8"));
+		} catch (error) {
+			logger(`Error reading rule documentation ${docPath}: ${error}`);
+			ruleDocsCache.set(key, null);
+		}
+	}
+
+	return ruleDocsCache.get(key);
+}
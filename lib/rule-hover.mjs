@@ -0,0 +1,102 @@
+import { MarkupKind } from "vscode-languageserver/node.js";
+import { getIssueRange } from "./document-validator.mjs";
+import { getRuleDocumentation } from "./rule-docs.mjs";
+
+export class RuleHover {
+	#codec;
+	#logger;
+
+	constructor({ codec, logger = () => {} }) {
+		this.#codec = codec;
+		this.#logger = logger;
+	}
+
+	async build({ uri, document, position, issues, config }) {
+		const requestPosition = this.#codec.convertPositionToUtf16(
+			position,
+			document,
+		);
+		const hoveredIssues = issues.filter((issue) =>
+			this.#containsPosition(getIssueRange(issue), requestPosition),
+		);
+		if (hoveredIssues.length === 0) {
+			return null;
+		}
+
+		const sections = [];
+		const seenRules = new Set();
+		for (const issue of hoveredIssues) {
+			const [ruleId] = issue.ruleNames;
+			if (seenRules.has(ruleId)) {
+				continue;
+			}
+			seenRules.add(ruleId);
+			sections.push(await this.#buildRuleSection(issue, config));
+		}
+
+		this.#logger(`Hover for ${uri}: ${[...seenRules].join(", ")}`);
+		return {
+			contents: {
+				kind: MarkupKind.Markdown,
+				value: sections.join("\n\n---\n\n"),
+			},
+			range: this.#codec.convertRangeFromUtf16(
+				getIssueRange(hoveredIssues[0]),
+				document,
+			),
+		};
+	}
+
+	async #buildRuleSection(issue, config) {
+		const [ruleId] = issue.ruleNames;
+		const documentation =
+			(await getRuleDocumentation(ruleId, this.#logger)) ??
+			`# \`${issue.ruleNames.join("/")}\` - ${issue.ruleDescription}`;
+		const [key, value] = this.#getEffectiveRuleConfig(issue.ruleNames, config);
+
+		const lines = [
+			documentation.trim(),
+			"",
+			"**Effective configuration**",
+			"",
+			"```json",
+			JSON.stringify({ [key]: value }, null, 2),
+			"```",
+		];
+		if (issue.ruleInformation) {
+			lines.push("", `[Online documentation](${issue.ruleInformation})`);
+		}
+		return lines.join("\n");
+	}
+
+	// markdownlint matches rule names and aliases case-insensitively and falls
+	// back to `default` when a rule is not configured explicitly.
+	#getEffectiveRuleConfig(ruleNames, config = {}) {
+		const upperNames = ruleNames.map((name) => name.toUpperCase());
+		const entry = Object.entries(config).find(([key]) =>
+			upperNames.includes(key.toUpperCase()),
+		);
+		if (entry) {
+			return entry;
+		}
+		return ["default", config.default ?? true];
+	}
+
+	#containsPosition(range, position) {
+		if (
+			position.line < range.start.line ||
+			(position.line === range.start.line &&
+				position.character < range.start.character)
+		) {
+			return false;
+		}
+		if (
+			position.line > range.end.line ||
+			(position.line === range.end.line &&
+				position.character > range.end.character)
+		) {
+			return false;
+		}
+		return true;
+	}
+}
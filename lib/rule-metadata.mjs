@@ -0,0 +1,132 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const MARKDOWNLINT_PACKAGE_DIR = path.join(
+	path.dirname(fileURLToPath(import.meta.resolve("markdownlint"))),
+	"..",
+);
+
+const CONFIG_SCHEMA_PATH = path.join(
+	MARKDOWNLINT_PACKAGE_DIR,
+	"schema",
+	"markdownlint-config-schema.json",
+);
+
+// Rule entries are described as "MD025/single-title/single-h1 : Description : URL"
+// and tag entries as "headings : MD001, MD003, ...".
+const RULE_DESCRIPTION_PATTERN =
+	/^(MD\d{3}(?:\/[\w-]+)*) : (.+?)(?: : (\S+))?$/;
+const TAG_DESCRIPTION_PATTERN = /^([\w-]+) : (MD\d{3}(?:, MD\d{3})*)$/;
+
+let ruleMetadata = null;
+
+function buildRuleMetadata(schema) {
+	const rules = new Map();
+	const tags = new Map();
+
+	for (const [key, property] of Object.entries(schema.properties)) {
+		const description = property.description ?? "";
+		const ruleMatch = description.match(RULE_DESCRIPTION_PATTERN);
+		if (ruleMatch) {
+			const [id, ...aliases] = ruleMatch[1].split("/");
+			if (key === id) {
+				const parameters =
+					property.oneOf?.find((option) => option.type === "object")
+						?.properties ?? {};
+				rules.set(id, {
+					id,
+					aliases,
+					description: ruleMatch[2],
+					information: ruleMatch[3] ?? null,
+					parameters,
+					tags: [],
+				});
+			}
+			continue;
+		}
+
+		const tagMatch = description.match(TAG_DESCRIPTION_PATTERN);
+		if (tagMatch && key === tagMatch[1]) {
+			tags.set(key, tagMatch[2].split(", "));
+		}
+	}
+
+	for (const [tag, ruleIds] of tags) {
+		for (const ruleId of ruleIds) {
+			rules.get(ruleId)?.tags.push(tag);
+		}
+	}
+
+	return { schema, rules, tags };
+}
+
+/**
+ * Returns metadata for the built-in rules, derived from the configuration
+ * schema that ships with the markdownlint package.
+ *
+ * @returns {{schema: object, rules: Map<string, object>, tags: Map<string, string[]>}}
+ */
+export function getRuleMetadata() {
+	if (!ruleMetadata) {
+		ruleMetadata = buildRuleMetadata(
+			JSON.parse(readFileSync(CONFIG_SCHEMA_PATH, "utf8")),
+		);
+	}
+	return ruleMetadata;
+}
+
+/**
+ * Lists the names that can refer to built-in rules: rule identifiers, then
+ * aliases, then tags.
+ *
+ * @returns {Array<{name: string, detail: string, documentation: string}>}
+ */
+export function getRuleNameEntries() {
+	const { rules, tags } = getRuleMetadata();
+	const entries = [];
+	for (const rule of rules.values()) {
+		entries.push({
+			name: rule.id,
+			detail: rule.aliases.join("/"),
+			documentation: rule.description,
+		});
+	}
+	for (const rule of rules.values()) {
+		for (const alias of rule.aliases) {
+			entries.push({
+				name: alias,
+				detail: rule.id,
+				documentation: rule.description,
+			});
+		}
+	}
+	for (const [tag, ruleIds] of tags) {
+		entries.push({
+			name: tag,
+			detail: "tag",
+			documentation: `Applies to ${ruleIds.join(", ")}`,
+		});
+	}
+	return entries;
+}
+
+/**
+ * Finds a built-in rule by identifier or alias, ignoring case like
+ * markdownlint does.
+ *
+ * @param {string} name Rule identifier (e.g. "MD013") or alias.
+ * @returns {object|null} The rule metadata, or null for unknown names.
+ */
+export function findRule(name) {
+	const upperName = name.toUpperCase();
+	for (const rule of getRuleMetadata().rules.values()) {
+		if (
+			rule.id === upperName ||
+			rule.aliases.some((alias) => alias.toUpperCase() === upperName)
+		) {
+			return rule;
+		}
+	}
+	return null;
+}
@@ -0,0 +1,57 @@
+import { DiagnosticSeverity } from "vscode-languageserver/node.js";
+import { findRule } from "./rule-metadata.mjs";
+
+export const SEVERITY_OFF = "off";
+
+const DIAGNOSTIC_SEVERITIES = {
+	error: DiagnosticSeverity.Error,
+	warning: DiagnosticSeverity.Warning,
+	information: DiagnosticSeverity.Information,
+	hint: DiagnosticSeverity.Hint,
+};
+
+function lookupSeverity(severityMap, names) {
+	const upperNames = names.map((name) => name.toUpperCase());
+	for (const upperName of upperNames) {
+		const entry = Object.entries(severityMap).find(
+			([key]) => key.toUpperCase() === upperName,
+		);
+		if (entry) {
+			return entry[1];
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Resolves the diagnostic severity for a rule from the `severity` setting,
+ * which maps rule names, aliases or tags to a severity level. Rule names and
+ * aliases take precedence over tags.
+ *
+ * @param {string[]} ruleNames Rule name and aliases reported by markdownlint.
+ * @param {object} [severityMap] The `severity` setting.
+ * @param {Function} [logger=()=>{}] Optional logger function.
+ * @returns {number|null} The LSP severity, or null when the rule is "off".
+ */
+export function resolveRuleSeverity(ruleNames, severityMap, logger = () => {}) {
+	if (!severityMap || typeof severityMap !== "object") {
+		return DiagnosticSeverity.Warning;
+	}
+
+	const severity =
+		lookupSeverity(severityMap, ruleNames) ??
+		lookupSeverity(severityMap, findRule(ruleNames[0])?.tags ?? []);
+	if (severity === undefined) {
+		return DiagnosticSeverity.Warning;
+	}
+
+	const normalizedSeverity = String(severity).toLowerCase();
+	if (normalizedSeverity === SEVERITY_OFF) {
+		return null;
+	}
+	if (!Object.hasOwn(DIAGNOSTIC_SEVERITIES, normalizedSeverity)) {
+		logger(`Unknown severity "${severity}" for ${ruleNames.join("/")}`);
+		return DiagnosticSeverity.Warning;
+	}
+	return DIAGNOSTIC_SEVERITIES[normalizedSeverity];
+}
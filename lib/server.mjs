@@ -1,26 +1,65 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
 import {
 	CodeActionKind,
 	createConnection,
 	DidChangeWatchedFilesNotification,
+	DocumentDiagnosticReportKind,
+	ErrorCodes,
+	LSPErrorCodes,
+	MessageType,
 	PositionEncodingKind,
 	ProposedFeatures,
+	ResourceOperationKind,
+	ResponseError,
+	ShowMessageNotification,
 	TextDocumentSyncKind,
 	TraceValues,
 } from "vscode-languageserver/node.js";
+import { TextDocument } from "vscode-languageserver-textdocument";
 import { CodeActions } from "./code-actions.mjs";
 import {
 	ALL_CONFIG_FILENAMES_EXCEPT_PACKAGE_JSON,
+	GITIGNORE_FILENAME,
 	MARKDOWNLINT_IGNORE_FILENAME,
 } from "./config.mjs";
+import { ConfigCompletion } from "./config-completion.mjs";
+import { DEFAULT_CONFIG_FILENAME } from "./config-edits.mjs";
+import { ConfigHover } from "./config-hover.mjs";
+import { getOptionsProvenance } from "./config-provenance.mjs";
+import { ConfigValidator } from "./config-validator.mjs";
+import {
+	DOC_COMMENT_LANGUAGE_IDS,
+	extractDocComments,
+} from "./doc-comments.mjs";
 import { DocumentRuntime } from "./document-runtime.mjs";
 import { DocumentValidator } from "./document-validator.mjs";
+import { resolveFixOnSave, selectFixOnSaveIssues } from "./fix-on-save.mjs";
+import { InlineConfigCompletion } from "./inline-config-completion.mjs";
+import {
+	DEFAULT_LANGUAGE_IDS,
+	resolveLanguageIds,
+} from "./language-preprocessors.mjs";
 import mergeOptions from "./merge-options.mjs";
 import { PositionCodec } from "./position-codec.mjs";
+import { RuleHover } from "./rule-hover.mjs";
 import { WorkspaceContext } from "./workspace-context.mjs";
+import { findMarkdownFiles, getFileLanguageId } from "./workspace-files.mjs";
 
 const DEFAULT_VALIDATION_DELAY_MS = 200;
 const CONFIG_CHANGE_DEBOUNCE_MS = 300;
 const CONFIG_CACHE_MAX_SIZE = 100;
+const DIAGNOSTIC_MODE_PUSH = "push";
+const DIAGNOSTIC_MODE_PULL = "pull";
+const COMMAND_FIX_ALL = "markdownlint.fixAll";
+const COMMAND_FIX_WORKSPACE = "markdownlint.fixWorkspace";
+const COMMAND_REVALIDATE_ALL = "markdownlint.revalidateAll";
+const COMMAND_SHOW_EFFECTIVE_CONFIG = "markdownlint.showEffectiveConfig";
+const EFFECTIVE_CONFIG_REQUEST = "markdownlint/effectiveConfig";
+const SETTINGS_SOURCE_INITIALIZATION_OPTIONS = "initializationOptions";
+const SETTINGS_SOURCE_WORKSPACE_CONFIGURATION = "workspace/configuration";
+const HTML_COMMENT_INCOMPATIBLE_LANGUAGE_IDS = ["mdx"];
 
 export class Server {
 	#connection;
@@ -29,27 +68,69 @@ export class Server {
 			default: true,
 		},
 	};
+	#settingsLayers = [];
 	#trace = TraceValues.Off;
 	#validationDelay = DEFAULT_VALIDATION_DELAY_MS;
 	#initializationOptions = {};
 	#hasDidChangeWatchedFilesCapability = false;
+	#hasRelativePatternSupport = false;
 	#hasWorkspaceFoldersCapability = false;
-	#documentFixes = new Map();
+	#hasConfigurationCapability = false;
+	#hasDiagnosticRefreshCapability = false;
+	#hasCreateFileCapability = false;
+	#diagnosticMode = DIAGNOSTIC_MODE_PUSH;
+	#workspaceDiagnostics = false;
+	#diagnosticGeneration = 0;
+	#documentResultIds = new Map();
+	#documentDiagnostics = new Map();
 	#documentIssues = new Map();
+	#documentUnusedDirectives = new Map();
+	#fileWatchers = new Map();
 	#allowJavaScriptConfig = false;
+	#fixOnSave = null;
+	#reportUnusedDirectives = false;
+	#languageIds = DEFAULT_LANGUAGE_IDS;
+	#lintDocComments = false;
 	#runtime = new DocumentRuntime(DEFAULT_VALIDATION_DELAY_MS);
 	#codec = new PositionCodec();
 	#validator = new DocumentValidator({
 		codec: this.#codec,
 		logger: (message) => this.#logTrace(message),
+		warn: (message) =>
+			this.#connection.sendNotification(ShowMessageNotification.type, {
+				type: MessageType.Warning,
+				message: `markdownlint: ${message}`,
+			}),
+	});
+	#configValidator = new ConfigValidator({
+		codec: this.#codec,
+		logger: (message) => this.#logTrace(message),
+	});
+	#configCompletion = new ConfigCompletion({
+		codec: this.#codec,
+		logger: (message) => this.#logTrace(message),
+	});
+	#configHover = new ConfigHover({
+		codec: this.#codec,
+		logger: (message) => this.#logTrace(message),
+	});
+	#inlineConfigCompletion = new InlineConfigCompletion({
+		codec: this.#codec,
+		logger: (message) => this.#logTrace(message),
 	});
 	#codeActions = new CodeActions({
 		codec: this.#codec,
 		logger: (message) => this.#logTrace(message),
 	});
+	#ruleHover = new RuleHover({
+		codec: this.#codec,
+		logger: (message) => this.#logTrace(message),
+	});
 	#workspace = new WorkspaceContext({
 		configCacheMaxSize: CONFIG_CACHE_MAX_SIZE,
 		configChangeDebounceMs: CONFIG_CHANGE_DEBOUNCE_MS,
+		watchFile: (filePath) => this.#watchExtendedConfigFile(filePath),
+		unwatchFile: (filePath) => this.#unwatchExtendedConfigFile(filePath),
 	});
 
 	constructor() {
@@ -80,9 +161,25 @@ export class Server {
 			this.#hasDidChangeWatchedFilesCapability =
 				params.capabilities.workspace?.didChangeWatchedFiles
 					?.dynamicRegistration ?? false;
+			this.#hasRelativePatternSupport =
+				params.capabilities.workspace?.didChangeWatchedFiles
+					?.relativePatternSupport ?? false;
 
 			this.#hasWorkspaceFoldersCapability =
 				params.capabilities.workspace?.workspaceFolders === true;
+			this.#hasConfigurationCapability =
+				params.capabilities.workspace?.configuration === true;
+
+			const workspaceEditCapabilities =
+				params.capabilities.workspace?.workspaceEdit;
+			this.#hasCreateFileCapability =
+				workspaceEditCapabilities?.documentChanges === true &&
+				(workspaceEditCapabilities.resourceOperations ?? []).includes(
+					ResourceOperationKind.Create,
+				);
+
+			this.#hasDiagnosticRefreshCapability =
+				params.capabilities.workspace?.diagnostics?.refreshSupport === true;
 
 			if (params.trace) {
 				this.#trace = params.trace;
@@ -96,8 +193,23 @@ export class Server {
 
 			this.#initializationOptions = params.initializationOptions || {};
 			this.#settings = this.#resolveSettings(this.#initializationOptions);
+			this.#settingsLayers = [
+				{
+					source: SETTINGS_SOURCE_INITIALIZATION_OPTIONS,
+					options: this.#settings,
+				},
+			];
 			this.#allowJavaScriptConfig =
 				this.#initializationOptions.allowJavaScriptConfig === true;
+			this.#fixOnSave = resolveFixOnSave(this.#initializationOptions.fixOnSave);
+			this.#reportUnusedDirectives =
+				this.#initializationOptions.reportUnusedDisableDirectives === true;
+			this.#languageIds = resolveLanguageIds(
+				this.#initializationOptions.languageIds,
+			);
+			this.#lintDocComments =
+				this.#initializationOptions.lintDocComments === true;
+			this.#workspace.setConfigFileSettings(this.#initializationOptions);
 			if (
 				typeof this.#initializationOptions.validationDelay === "number" &&
 				Number.isFinite(this.#initializationOptions.validationDelay)
@@ -108,29 +220,64 @@ export class Server {
 				);
 			}
 			this.#runtime.setValidationDelay(this.#validationDelay);
+			this.#diagnosticMode = this.#resolveDiagnosticMode(
+				this.#initializationOptions.diagnosticMode,
+				params.capabilities.textDocument?.diagnostic !== undefined,
+			);
+			this.#workspaceDiagnostics =
+				this.#diagnosticMode === DIAGNOSTIC_MODE_PULL &&
+				this.#initializationOptions.workspaceDiagnostics === true;
 
 			this.#logTrace(
 				`Initial server configuration: ${JSON.stringify(this.#settings)}`,
 			);
 
-			return {
-				capabilities: {
-					textDocumentSync: TextDocumentSyncKind.Incremental,
-					positionEncoding: this.#codec.getEncoding(),
-					codeActionProvider: {
-						codeActionKinds: [
-							CodeActionKind.QuickFix,
-							CodeActionKind.SourceFixAll,
-						],
-					},
-					workspace: {
-						workspaceFolders: {
-							supported: true,
-							changeNotifications: true,
-						},
+			const capabilities = {
+				textDocumentSync: {
+					openClose: true,
+					change: TextDocumentSyncKind.Incremental,
+					save: { includeText: false },
+					// Always advertised so `fixOnSave` can be enabled through
+					// workspace/didChangeConfiguration without re-initializing.
+					willSaveWaitUntil: true,
+				},
+				positionEncoding: this.#codec.getEncoding(),
+				hoverProvider: true,
+				completionProvider: {
+					triggerCharacters: ['"', "-"],
+				},
+				documentFormattingProvider: true,
+				documentRangeFormattingProvider: true,
+				codeActionProvider: {
+					codeActionKinds: [
+						CodeActionKind.QuickFix,
+						CodeActionKind.SourceFixAll,
+					],
+				},
+				executeCommandProvider: {
+					commands: [
+						COMMAND_FIX_ALL,
+						COMMAND_FIX_WORKSPACE,
+						COMMAND_REVALIDATE_ALL,
+						COMMAND_SHOW_EFFECTIVE_CONFIG,
+					],
+				},
+				workspace: {
+					workspaceFolders: {
+						supported: true,
+						changeNotifications: true,
 					},
 				},
 			};
+			if (this.#diagnosticMode === DIAGNOSTIC_MODE_PULL) {
+				capabilities.diagnosticProvider = {
+					identifier: "markdownlint",
+					interFileDependencies: false,
+					workspaceDiagnostics: this.#workspaceDiagnostics,
+				};
+			}
+
+			return { capabilities };
 		});
 
 		this.#connection.onInitialized(() => {
@@ -146,6 +293,9 @@ export class Server {
 							{
 								globPattern: `**/${MARKDOWNLINT_IGNORE_FILENAME}`,
 							},
+							{
+								globPattern: `**/${GITIGNORE_FILENAME}`,
+							},
 							{
 								globPattern: "**/package.json",
 							},
@@ -156,19 +306,31 @@ export class Server {
 			if (this.#hasWorkspaceFoldersCapability) {
 				this.setupWorkspaceEventHandlers();
 			}
+			this.#updateFolderConfigFileSettings()
+				.then((changed) => {
+					if (changed) {
+						this.#revalidateAllDocuments();
+					}
+				})
+				.catch((error) => {
+					this.#logTrace(`Error fetching folder configuration: ${error}`);
+				});
 		});
 
-		this.#connection.onDidChangeWatchedFiles(async () => {
+		this.#connection.onDidChangeWatchedFiles(async (params) => {
 			this.#workspace.scheduleConfigReload(
-				() => this.#revalidateAllDocuments(),
+				() => this.#revalidateDocumentsWithChangedConfig(),
 				this.#logTrace.bind(this),
+				params.changes.map((change) => change.uri),
 			);
 		});
 
 		this.#connection.onDidOpenTextDocument((params) => {
 			const document = this.#runtime.open(params.textDocument);
 			this.#logTrace(`Document opened: ${params.textDocument.uri}`);
-			this.#scheduleValidation(document);
+			if (this.#diagnosticMode === DIAGNOSTIC_MODE_PUSH) {
+				this.#scheduleValidation(document);
+			}
 		});
 
 		this.#connection.onDidChangeTextDocument((params) => {
@@ -188,26 +350,58 @@ export class Server {
 				this.#logTrace(
 					`Document changed: ${params.textDocument.uri} v${params.textDocument.version}`,
 				);
-				this.#scheduleValidation(updatedDocument);
+				if (this.#diagnosticMode === DIAGNOSTIC_MODE_PUSH) {
+					this.#scheduleValidation(updatedDocument);
+				}
 			}
 		});
 
 		this.#connection.onDidSaveTextDocument((params) => {
 			this.#logTrace(`Document saved: ${params.textDocument.uri}`);
 			const document = this.#runtime.save(params.textDocument.uri);
-			if (document) {
+			if (document && this.#diagnosticMode === DIAGNOSTIC_MODE_PUSH) {
 				this.#enqueueValidation(document);
 			}
 		});
 
+		this.#connection.onWillSaveTextDocumentWaitUntil(async (params) => {
+			const uri = params.textDocument.uri;
+			const document = this.#runtime.get(uri);
+			if (!this.#fixOnSave || !document) {
+				return [];
+			}
+
+			const issues = await this.#lintLatestIssues(document);
+			if (!issues) {
+				return [];
+			}
+
+			const edits = this.#codeActions.buildFixAllEdits(
+				document,
+				selectFixOnSaveIssues(issues, this.#fixOnSave),
+			);
+			this.#logTrace(`Fix on save for ${uri}: ${edits.length} edits`);
+			return edits;
+		});
+
+		this.#connection.onDocumentFormatting((params) =>
+			this.#formatDocument(params.textDocument.uri),
+		);
+
+		this.#connection.onDocumentRangeFormatting((params) =>
+			this.#formatDocument(params.textDocument.uri, params.range),
+		);
+
 		this.#connection.onDidCloseTextDocument((params) => {
 			this.#runtime.close(params.textDocument.uri);
 			this.#clearDocumentResults(params.textDocument.uri);
 
-			this.#connection.sendDiagnostics({
-				uri: params.textDocument.uri,
-				diagnostics: [],
-			});
+			if (this.#diagnosticMode === DIAGNOSTIC_MODE_PUSH) {
+				this.#connection.sendDiagnostics({
+					uri: params.textDocument.uri,
+					diagnostics: [],
+				});
+			}
 			this.#logTrace(`Document closed: ${params.textDocument.uri}`);
 		});
 
@@ -224,6 +418,36 @@ export class Server {
 				);
 				const resolvedSettings = this.#resolveSettings(settings ?? {});
 				this.#settings = mergeOptions(initializationSettings, resolvedSettings);
+				this.#settingsLayers = [
+					{
+						source: SETTINGS_SOURCE_INITIALIZATION_OPTIONS,
+						options: initializationSettings,
+					},
+					{
+						source: SETTINGS_SOURCE_WORKSPACE_CONFIGURATION,
+						options: resolvedSettings,
+					},
+				];
+				this.#fixOnSave = resolveFixOnSave(
+					settings?.fixOnSave ?? this.#initializationOptions.fixOnSave,
+				);
+				this.#reportUnusedDirectives =
+					(settings?.reportUnusedDisableDirectives ??
+						this.#initializationOptions.reportUnusedDisableDirectives) === true;
+				this.#languageIds = resolveLanguageIds(
+					settings?.languageIds ?? this.#initializationOptions.languageIds,
+				);
+				this.#lintDocComments =
+					(settings?.lintDocComments ??
+						this.#initializationOptions.lintDocComments) === true;
+				this.#workspace.setConfigFileSettings({
+					configFile:
+						settings?.configFile ?? this.#initializationOptions.configFile,
+					configDiscovery:
+						settings?.configDiscovery ??
+						this.#initializationOptions.configDiscovery,
+				});
+				await this.#updateFolderConfigFileSettings();
 				this.#logTrace(
 					`New server configuration: ${JSON.stringify(this.#settings)}`,
 				);
@@ -233,11 +457,190 @@ export class Server {
 			}
 		});
 
-		this.#connection.onCodeAction((params) => {
+		this.#connection.languages.diagnostics.on(async (params) => {
 			const uri = params.textDocument.uri;
 			const document = this.#runtime.get(uri);
 
 			if (!document) {
+				return { kind: DocumentDiagnosticReportKind.Full, items: [] };
+			}
+
+			const resultId = `${this.#diagnosticGeneration}:${document.version}`;
+			if (
+				params.previousResultId === resultId &&
+				this.#documentResultIds.get(uri) === resultId
+			) {
+				this.#logTrace(`Diagnostics unchanged for ${uri} (${resultId})`);
+				return { kind: DocumentDiagnosticReportKind.Unchanged, resultId };
+			}
+
+			const result = await this.#lintDocument(document);
+			if (result?.stale) {
+				throw new ResponseError(
+					LSPErrorCodes.ServerCancelled,
+					`Document ${uri} changed during validation`,
+					{ retriggerRequest: true },
+				);
+			}
+
+			const items = result?.diagnostics ?? [];
+			this.#documentResultIds.set(uri, resultId);
+			this.#logTrace(
+				`Returning ${items.length} diagnostics for ${uri} (${resultId})`,
+			);
+			return { kind: DocumentDiagnosticReportKind.Full, resultId, items };
+		});
+
+		this.#connection.languages.diagnostics.onWorkspace(
+			async (params, token, workDoneProgress, resultProgress) => {
+				const previousResultIds = new Map(
+					(params.previousResultIds ?? []).map(({ uri, value }) => [
+						uri,
+						value,
+					]),
+				);
+				const filePaths = await findMarkdownFiles(
+					this.#workspace.getWorkspaceFolderPaths(),
+					this.#languageIds,
+					this.#logTrace.bind(this),
+				);
+				this.#logTrace(
+					`Workspace diagnostics requested for ${filePaths.length} Markdown files`,
+				);
+
+				workDoneProgress.begin(
+					"markdownlint",
+					0,
+					`Linting ${filePaths.length} Markdown files`,
+					true,
+				);
+
+				const items = [];
+				for (const [index, filePath] of filePaths.entries()) {
+					if (token.isCancellationRequested) {
+						this.#logTrace("Workspace diagnostics cancelled.");
+						break;
+					}
+
+					const uri = pathToFileURL(filePath).href;
+					// Open documents are reported through textDocument/diagnostic.
+					if (!this.#runtime.get(uri)) {
+						const report = await this.#buildWorkspaceDocumentReport(
+							filePath,
+							uri,
+							previousResultIds.get(uri),
+						);
+						if (report && resultProgress) {
+							resultProgress.report({ items: [report] });
+						} else if (report) {
+							items.push(report);
+						}
+					}
+
+					workDoneProgress.report(
+						Math.round(((index + 1) / filePaths.length) * 100),
+						`${index + 1}/${filePaths.length}`,
+					);
+				}
+
+				workDoneProgress.done();
+				return { items };
+			},
+		);
+
+		this.#connection.onHover(async (params) => {
+			const uri = params.textDocument.uri;
+			const document = this.#runtime.get(uri);
+			if (document && this.#configValidator.canValidate(uri)) {
+				return this.#configHover.build({
+					document,
+					position: params.position,
+				});
+			}
+
+			const issues = this.#documentIssues.get(uri);
+
+			if (!document || !issues || issues.length === 0) {
+				return null;
+			}
+
+			const { documentOptions } = await this.#workspace.loadDocumentOptions(
+				uri,
+				this.#allowJavaScriptConfig,
+				this.#logTrace.bind(this),
+			);
+
+			return this.#ruleHover.build({
+				uri,
+				document,
+				position: params.position,
+				issues,
+				config: mergeOptions(documentOptions, this.#settings).config,
+			});
+		});
+
+		this.#connection.onCompletion((params) => {
+			const uri = params.textDocument.uri;
+			const document = this.#runtime.get(uri);
+			if (!document) {
+				return null;
+			}
+			if (this.#configValidator.canValidate(uri)) {
+				return this.#configCompletion.build({
+					document,
+					position: params.position,
+				});
+			}
+			if (
+				this.#languageIds.includes(document.languageId) &&
+				this.#allowsInlineDirectives(document)
+			) {
+				return this.#inlineConfigCompletion.build({
+					document,
+					position: params.position,
+				});
+			}
+			return null;
+		});
+
+		this.#connection.onExecuteCommand(async (params) => {
+			this.#logTrace(`Executing command: ${params.command}`);
+			switch (params.command) {
+				case COMMAND_FIX_ALL:
+					return this.#fixFiles([this.#getCommandUri(params)]);
+				case COMMAND_FIX_WORKSPACE:
+					return this.#fixFiles(await this.#getWorkspaceMarkdownUris());
+				case COMMAND_REVALIDATE_ALL:
+					this.#workspace.clearCache();
+					this.#revalidateAllDocuments();
+					return null;
+				case COMMAND_SHOW_EFFECTIVE_CONFIG:
+					return this.#showEffectiveConfig(this.#getCommandUri(params));
+				default:
+					throw new ResponseError(
+						ErrorCodes.InvalidParams,
+						`Unknown command: ${params.command}`,
+					);
+			}
+		});
+
+		this.#connection.onRequest(EFFECTIVE_CONFIG_REQUEST, (params) => {
+			const uri = params?.textDocument?.uri;
+			if (typeof uri !== "string") {
+				throw new ResponseError(
+					ErrorCodes.InvalidParams,
+					`${EFFECTIVE_CONFIG_REQUEST} expects a textDocument parameter`,
+				);
+			}
+			return this.#explainEffectiveConfig(uri);
+		});
+
+		this.#connection.onCodeAction(async (params) => {
+			const uri = params.textDocument.uri;
+			const document = this.#runtime.get(uri);
+			const diagnosticIssuePairs = this.#documentDiagnostics.get(uri);
+
+			if (!document || !diagnosticIssuePairs) {
 				return [];
 			}
 
@@ -245,18 +648,69 @@ export class Server {
 				uri,
 				document,
 				params,
-				diagnosticFixPairs: this.#documentFixes.get(uri),
+				diagnosticIssuePairs,
 				issues: this.#documentIssues.get(uri) ?? [],
+				loadConfigFile: () => this.#loadClosestConfigFile(uri),
+				unusedDirectives: this.#documentUnusedDirectives.get(uri),
+				inlineDirectives: this.#allowsInlineDirectives(document),
 			});
 		});
 	}
 
 	async validateDocument(document) {
-		if (document.languageId !== "markdown") {
-			this.#logTrace(`Unsupported languageId: ${document.languageId}`);
+		const result = await this.#lintDocument(document);
+		if (!result || result.stale) {
 			return;
 		}
 
+		this.#connection.sendDiagnostics({
+			uri: document.uri,
+			diagnostics: result.diagnostics,
+			version: document.version,
+		});
+		this.#logTrace(
+			`Sent ${result.diagnostics.length} diagnostics for ${document.uri} v${document.version}`,
+		);
+	}
+
+	// markdownlint's inline directives are HTML comments, which neither code
+	// (for doc comments) nor MDX 2 and later accept.
+	#allowsInlineDirectives(document) {
+		return (
+			!this.#isDocCommentDocument(document) &&
+			!HTML_COMMENT_INCOMPATIBLE_LANGUAGE_IDS.includes(document.languageId)
+		);
+	}
+
+	// Code documents whose doc comments are linted as Markdown.
+	#isDocCommentDocument(document) {
+		return (
+			this.#lintDocComments &&
+			DOC_COMMENT_LANGUAGE_IDS.includes(document.languageId)
+		);
+	}
+
+	async #lintDocument(document) {
+		if (this.#configValidator.canValidate(document.uri)) {
+			this.#logTrace(`Validating configuration file: ${document.uri}`);
+			this.#clearDocumentResults(document.uri);
+			return {
+				stale: false,
+				diagnostics: this.#configValidator.validate(document),
+			};
+		}
+
+		const lintDocComments = this.#isDocCommentDocument(document);
+		if (!lintDocComments && !this.#languageIds.includes(document.languageId)) {
+			this.#logTrace(`Unsupported languageId: ${document.languageId}`);
+			// Clears diagnostics published before languageIds changed.
+			if (this.#documentIssues.has(document.uri)) {
+				this.#clearDocumentResults(document.uri);
+				return { stale: false, diagnostics: [] };
+			}
+			return null;
+		}
+
 		this.#logTrace(`Validating: ${document.uri}`);
 
 		const currentVersion = document.version;
@@ -273,48 +727,323 @@ export class Server {
 		);
 
 		try {
-			const result = await this.#validator.validate({
-				document,
-				documentOptions,
-				settings: this.#settings,
-				workspaceRoot,
-			});
+			const settings = await this.#loadDocumentSettings(workspaceRoot);
+			const result = lintDocComments
+				? await this.#validator.validateEmbedded({
+						document,
+						blocks: extractDocComments(document.languageId, document.getText()),
+						documentOptions,
+						settings,
+						workspaceRoot,
+					})
+				: await this.#validator.validate({
+						document,
+						documentOptions,
+						settings,
+						workspaceRoot,
+						reportUnusedDirectives: this.#reportUnusedDirectives,
+					});
 
 			if (!this.#runtime.hasLatestVersion(document.uri, currentVersion)) {
 				this.#logTrace(
 					`Discarding stale validation result for ${document.uri} v${currentVersion}`,
 				);
-				return;
+				return { stale: true, diagnostics: [] };
 			}
 
 			if (result.ignored) {
 				this.#clearDocumentResults(document.uri);
-				this.#connection.sendDiagnostics({
-					uri: document.uri,
-					diagnostics: [],
-				});
-				return;
+				return { stale: false, diagnostics: [] };
 			}
 
-			this.#documentFixes.set(document.uri, result.diagnosticFixPairs);
+			this.#documentDiagnostics.set(document.uri, result.diagnosticIssuePairs);
 			this.#documentIssues.set(document.uri, result.issues);
-			this.#connection.sendDiagnostics({
-				uri: document.uri,
-				diagnostics: result.diagnostics,
-				version: currentVersion,
-			});
+			this.#documentUnusedDirectives.set(document.uri, result.unusedDirectives);
 			this.#logTrace(
-				`Sent ${result.diagnostics.length} diagnostics (${result.diagnosticFixPairs.length} with fixes) for ${document.uri} v${currentVersion}`,
+				`Computed ${result.diagnostics.length} diagnostics (${result.issues.filter((issue) => issue.fixInfo).length} with fixes) for ${document.uri} v${currentVersion}`,
 			);
+			return { stale: false, diagnostics: result.diagnostics };
 		} catch (error) {
 			this.#logTrace(`Linting error for ${document.uri}: ${error}`);
 			// Clear stale diagnostics and fixes to avoid misleading users
 			this.#clearDocumentResults(document.uri);
-			this.#connection.sendDiagnostics({
-				uri: document.uri,
-				diagnostics: [],
-				version: currentVersion,
+			return { stale: false, diagnostics: [] };
+		}
+	}
+
+	// Lints the current text instead of reusing stored issues, which may lag
+	// behind the validation delay.
+	async #lintLatestIssues(document) {
+		const result = await this.#lintDocument(document);
+		if (!result || result.stale) {
+			return null;
+		}
+		return this.#documentIssues.get(document.uri) ?? [];
+	}
+
+	async #formatDocument(uri, range) {
+		const document = this.#runtime.get(uri);
+		if (!document) {
+			return [];
+		}
+
+		const issues = await this.#lintLatestIssues(document);
+		if (!issues) {
+			return [];
+		}
+
+		const edits = this.#codeActions.buildFixAllEdits(
+			document,
+			issues,
+			range ? this.#codec.convertRangeToUtf16(range, document) : undefined,
+		);
+		this.#logTrace(`Formatting ${uri}: ${edits.length} edits`);
+		return edits;
+	}
+
+	async #buildWorkspaceDocumentReport(filePath, uri, previousResultId) {
+		try {
+			const { mtimeMs } = await fs.stat(filePath);
+			const resultId = `${this.#diagnosticGeneration}:${mtimeMs}`;
+			if (previousResultId === resultId) {
+				return {
+					kind: DocumentDiagnosticReportKind.Unchanged,
+					uri,
+					version: null,
+					resultId,
+				};
+			}
+
+			const linted = await this.#lintClosedFile(filePath, uri, {
+				reportUnusedDirectives: this.#reportUnusedDirectives,
 			});
+			const items = linted?.result.diagnostics ?? [];
+
+			return {
+				kind: DocumentDiagnosticReportKind.Full,
+				uri,
+				version: null,
+				resultId,
+				items,
+			};
+		} catch (error) {
+			this.#logTrace(`Workspace linting error for ${uri}: ${error}`);
+			return null;
+		}
+	}
+
+	// Commands accept either a URI string or an object with a `uri` property
+	// (e.g. a TextDocumentIdentifier).
+	#getCommandUri(params) {
+		const [argument] = params.arguments ?? [];
+		const uri = typeof argument === "string" ? argument : argument?.uri;
+		if (typeof uri !== "string") {
+			throw new ResponseError(
+				ErrorCodes.InvalidParams,
+				`${params.command} expects a document URI argument`,
+			);
+		}
+		return uri;
+	}
+
+	async #getWorkspaceMarkdownUris() {
+		const uris = new Set(
+			[...this.#runtime.getAll()]
+				.filter((document) => this.#languageIds.includes(document.languageId))
+				.map((document) => document.uri),
+		);
+		const filePaths = await findMarkdownFiles(
+			this.#workspace.getWorkspaceFolderPaths(),
+			this.#languageIds,
+			this.#logTrace.bind(this),
+		);
+		for (const filePath of filePaths) {
+			uris.add(pathToFileURL(filePath).href);
+		}
+		return [...uris];
+	}
+
+	async #fixFiles(uris) {
+		const changes = {};
+		for (const uri of uris) {
+			const edits = await this.#buildFileFixEdits(uri);
+			if (edits.length > 0) {
+				changes[uri] = edits;
+			}
+		}
+
+		const fixedFiles = Object.keys(changes).length;
+		this.#logTrace(`Fixing markdownlint issues in ${fixedFiles} files`);
+		if (fixedFiles === 0) {
+			return { applied: true, fixedFiles };
+		}
+
+		const { applied } = await this.#connection.workspace.applyEdit({
+			label: "Fix markdownlint issues",
+			edit: { changes },
+		});
+		return { applied, fixedFiles };
+	}
+
+	// Open documents are fixed from their editor contents; other files are read
+	// from disk.
+	async #buildFileFixEdits(uri) {
+		const openDocument = this.#runtime.get(uri);
+		if (openDocument) {
+			const issues = await this.#lintLatestIssues(openDocument);
+			return issues
+				? this.#codeActions.buildFixAllEdits(openDocument, issues)
+				: [];
+		}
+		if (!uri.startsWith("file:")) {
+			return [];
+		}
+
+		try {
+			const linted = await this.#lintClosedFile(fileURLToPath(uri), uri);
+			return linted
+				? this.#codeActions.buildFixAllEdits(
+						linted.document,
+						linted.result.issues,
+					)
+				: [];
+		} catch (error) {
+			this.#logTrace(`Error fixing ${uri}: ${error}`);
+			return [];
+		}
+	}
+
+	// Lints a file that is not open from its content on disk, resolving its
+	// configuration and settings like open documents. Ignored files are not
+	// read; null is returned for them.
+	async #lintClosedFile(
+		filePath,
+		uri,
+		{ reportUnusedDirectives = false } = {},
+	) {
+		const { documentOptions, workspaceRoot } =
+			await this.#workspace.loadDocumentOptions(
+				uri,
+				this.#allowJavaScriptConfig,
+				this.#logTrace.bind(this),
+			);
+		if (
+			this.#validator.isIgnored({
+				uri,
+				documentOptions,
+				settings: this.#settings,
+				workspaceRoot,
+			})
+		) {
+			return null;
+		}
+
+		const content = await fs.readFile(filePath, "utf8");
+		// Files named explicitly (markdownlint.fixAll) may have any extension.
+		const document = TextDocument.create(
+			uri,
+			getFileLanguageId(filePath, this.#languageIds) ?? "markdown",
+			0,
+			content,
+		);
+		const result = await this.#validator.validate({
+			document,
+			documentOptions,
+			settings: await this.#loadDocumentSettings(workspaceRoot),
+			workspaceRoot,
+			reportUnusedDirectives,
+		});
+		return { document, result };
+	}
+
+	// Custom rules in settings are resolved from the document's workspace root.
+	async #loadDocumentSettings(workspaceRoot) {
+		if (!Object.hasOwn(this.#settings, "customRules")) {
+			return this.#settings;
+		}
+		return {
+			...this.#settings,
+			customRules: await this.#workspace.loadCustomRules(
+				this.#settings.customRules,
+				workspaceRoot,
+				this.#allowJavaScriptConfig,
+				this.#logTrace.bind(this),
+			),
+		};
+	}
+
+	async #showEffectiveConfig(uri) {
+		const { options } = await this.#explainEffectiveConfig(uri);
+		this.#connection.console.info(
+			`Effective markdownlint configuration for ${uri}:\n${JSON.stringify(options, null, 2)}`,
+		);
+		return options;
+	}
+
+	// Settings are merged over the configuration files (see #lintDocument), so
+	// they are the highest-precedence layers.
+	async #explainEffectiveConfig(uri) {
+		const { documentOptions, workspaceRoot } =
+			await this.#workspace.loadDocumentOptions(
+				uri,
+				this.#allowJavaScriptConfig,
+				this.#logTrace.bind(this),
+			);
+		// Drop internal entries such as the parsed ignore files.
+		const options = Object.fromEntries(
+			Object.entries(mergeOptions(documentOptions, this.#settings)).filter(
+				([key]) => !key.startsWith("_"),
+			),
+		);
+		const layers = [
+			...(documentOptions._configLayers ?? []),
+			...this.#settingsLayers,
+		];
+
+		return {
+			uri,
+			workspaceRoot,
+			options,
+			layers: layers.map(({ source }) => source),
+			provenance: getOptionsProvenance(layers, options),
+		};
+	}
+
+	async #loadClosestConfigFile(documentUri) {
+		if (!documentUri.startsWith("file:")) {
+			return null;
+		}
+
+		const { configPath, workspaceRoot } =
+			await this.#workspace.findClosestConfigFile(
+				documentUri,
+				this.#allowJavaScriptConfig,
+				this.#logTrace.bind(this),
+			);
+
+		if (!configPath) {
+			if (!this.#hasCreateFileCapability) {
+				return null;
+			}
+			return {
+				path: path.join(workspaceRoot, DEFAULT_CONFIG_FILENAME),
+				workspaceRoot,
+				content: null,
+			};
+		}
+
+		try {
+			const openDocument = this.#runtime.get(pathToFileURL(configPath).href);
+			return {
+				path: configPath,
+				workspaceRoot,
+				content: openDocument
+					? openDocument.getText()
+					: await fs.readFile(configPath, "utf8"),
+			};
+		} catch (error) {
+			this.#logTrace(`Error reading config file ${configPath}: ${error}`);
+			return null;
 		}
 	}
 
@@ -335,9 +1064,14 @@ export class Server {
 	}
 
 	setupWorkspaceEventHandlers() {
-		this.#connection.workspace.onDidChangeWorkspaceFolders((event) => {
+		this.#connection.workspace.onDidChangeWorkspaceFolders(async (event) => {
 			this.#logTrace("Workspace folders changed.");
 			this.#workspace.updateWorkspaceFolders(event, this.#logTrace.bind(this));
+			try {
+				await this.#updateFolderConfigFileSettings();
+			} catch (error) {
+				this.#logTrace(`Error fetching folder configuration: ${error}`);
+			}
 			this.#revalidateAllDocuments();
 		});
 	}
@@ -349,14 +1083,125 @@ export class Server {
 	}
 
 	#revalidateAllDocuments() {
+		if (this.#diagnosticMode === DIAGNOSTIC_MODE_PULL) {
+			this.#diagnosticGeneration += 1;
+			this.#documentResultIds.clear();
+			if (this.#hasDiagnosticRefreshCapability) {
+				this.#connection.languages.diagnostics.refresh().catch((error) => {
+					this.#logTrace(`Error requesting diagnostics refresh: ${error}`);
+				});
+			}
+			return;
+		}
+
 		for (const document of this.#runtime.getAll()) {
 			this.#enqueueValidation(document);
 		}
 	}
 
+	// `configFile` and `configDiscovery` can differ per workspace folder (e.g.
+	// a workspace-relative `configFile`), so they are requested for each.
+	// Resolves to whether any of them changed.
+	async #updateFolderConfigFileSettings() {
+		const folderPaths = this.#workspace.getWorkspaceFolderPaths();
+		if (!this.#hasConfigurationCapability || folderPaths.length === 0) {
+			return false;
+		}
+		const folderSettings = await this.#connection.workspace.getConfiguration(
+			folderPaths.map((folderPath) => ({
+				scopeUri: pathToFileURL(folderPath).href,
+				section: "markdownlint",
+			})),
+		);
+		let changed = false;
+		folderPaths.forEach((folderPath, index) => {
+			changed =
+				this.#workspace.setConfigFileSettings(
+					folderSettings?.[index] ?? {},
+					folderPath,
+				) || changed;
+		});
+		return changed;
+	}
+
+	// Documents whose configuration was dropped from the cache by a change to
+	// a watched file (or evicted, which cannot be told apart) are linted again;
+	// the others keep their diagnostics.
+	#revalidateDocumentsWithChangedConfig() {
+		const documents = [...this.#runtime.getAll()].filter(
+			(document) => !this.#workspace.hasCachedConfig(document.uri),
+		);
+		this.#logTrace(
+			`Re-validating ${documents.length} documents affected by configuration changes.`,
+		);
+
+		if (this.#diagnosticMode === DIAGNOSTIC_MODE_PULL) {
+			// Workspace reports are only versioned by generation and file time.
+			if (this.#workspaceDiagnostics) {
+				this.#revalidateAllDocuments();
+				return;
+			}
+			for (const document of documents) {
+				this.#documentResultIds.delete(document.uri);
+			}
+			if (documents.length > 0 && this.#hasDiagnosticRefreshCapability) {
+				this.#connection.languages.diagnostics.refresh().catch((error) => {
+					this.#logTrace(`Error requesting diagnostics refresh: ${error}`);
+				});
+			}
+			return;
+		}
+
+		for (const document of documents) {
+			this.#enqueueValidation(document);
+		}
+	}
+
+	// Files extended by configuration can live outside the workspace (e.g. in a
+	// shared style package), so they are watched one by one as they are found.
+	#watchExtendedConfigFile(filePath) {
+		if (!this.#hasDidChangeWatchedFilesCapability) {
+			return;
+		}
+		this.#logTrace(`Watching extended config file: ${filePath}`);
+		const globPattern = this.#hasRelativePatternSupport
+			? {
+					baseUri: pathToFileURL(path.dirname(filePath)).href,
+					pattern: path.basename(filePath),
+				}
+			: filePath.split(path.sep).join("/");
+		this.#fileWatchers.set(
+			filePath,
+			this.#connection.client
+				.register(DidChangeWatchedFilesNotification.type, {
+					watchers: [{ globPattern }],
+				})
+				.catch((error) => {
+					this.#logTrace(`Error watching ${filePath}: ${error}`);
+					return null;
+				}),
+		);
+	}
+
+	#unwatchExtendedConfigFile(filePath) {
+		const registration = this.#fileWatchers.get(filePath);
+		if (!registration) {
+			return;
+		}
+		this.#fileWatchers.delete(filePath);
+		this.#logTrace(`No longer watching config file: ${filePath}`);
+		registration
+			.then((disposable) => disposable?.dispose())
+			.catch((error) => {
+				this.#logTrace(`Error unwatching ${filePath}: ${error}`);
+			});
+	}
+
 	#clearDocumentResults(uri) {
-		this.#documentFixes.delete(uri);
+		this.#documentDiagnostics.delete(uri);
 		this.#documentIssues.delete(uri);
+		this.#documentUnusedDirectives.delete(uri);
+		this.#documentResultIds.delete(uri);
 	}
 
 	#enqueueValidation(document) {
@@ -382,7 +1227,19 @@ export class Server {
 	#resolveSettings(settings) {
 		const resolvedSettings =
 			settings && typeof settings === "object" ? settings : {};
-		const { validationDelay, ...options } = resolvedSettings;
+		const {
+			validationDelay,
+			diagnosticMode,
+			workspaceDiagnostics,
+			fixOnSave,
+			reportUnusedDisableDirectives,
+			allowJavaScriptConfig,
+			configFile,
+			configDiscovery,
+			languageIds,
+			lintDocComments,
+			...options
+		} = resolvedSettings;
 		return mergeOptions(
 			{
 				config: {
@@ -392,4 +1249,17 @@ export class Server {
 			options,
 		);
 	}
+
+	#resolveDiagnosticMode(requestedMode, clientSupportsPull) {
+		if (requestedMode !== DIAGNOSTIC_MODE_PULL) {
+			return DIAGNOSTIC_MODE_PUSH;
+		}
+		if (!clientSupportsPull) {
+			this.#logTrace(
+				"Pull diagnostics requested but not supported by the client. Falling back to push.",
+			);
+			return DIAGNOSTIC_MODE_PUSH;
+		}
+		return DIAGNOSTIC_MODE_PULL;
+	}
 }
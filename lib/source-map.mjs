@@ -0,0 +1,115 @@
+/**
+ * Maps a virtual Markdown document extracted from a host document, such as a
+ * doc comment in code, back to the host. Each virtual line is the tail of one
+ * host line after a prefix like " * "; positions are UTF-16, as for
+ * PositionCodec.
+ */
+export class SourceMap {
+	#lines;
+	#continuation;
+
+	/**
+	 * @param {{line: number, character: number, length: number, shared?: boolean}[]} lines
+	 * For each virtual line, the host line, the column its text starts at and
+	 * the text length. `shared` marks host lines that also hold a comment
+	 * delimiter, which must survive edits.
+	 * @param {string} continuation Prefix for lines inserted into the host.
+	 */
+	constructor(lines, continuation) {
+		this.#lines = lines;
+		this.#continuation = continuation;
+	}
+
+	toHostPosition({ line, character }) {
+		// The virtual document ends with a newline; its empty last line maps to
+		// the end of the text.
+		if (line >= this.#lines.length) {
+			const last = this.#lines.at(-1);
+			return { line: last.line, character: last.character + last.length };
+		}
+		const mapping = this.#lines[line];
+		return {
+			line: mapping.line,
+			character: mapping.character + character,
+		};
+	}
+
+	toHostRange(range) {
+		return {
+			start: this.toHostPosition(range.start),
+			end: this.toHostPosition(range.end),
+		};
+	}
+
+	/**
+	 * Maps a markdownlint issue on the virtual document, including its fix, to
+	 * the host document, so fixes apply to the host text.
+	 *
+	 * @param {import("markdownlint").LintError} issue Issue on the virtual
+	 * document.
+	 * @returns {import("markdownlint").LintError} The issue on the host.
+	 */
+	toHostIssue(issue) {
+		const mapping = this.#lines[issue.lineNumber - 1];
+		const hostIssue = { ...issue, lineNumber: mapping.line + 1 };
+		if (issue.errorRange) {
+			hostIssue.errorRange = [
+				issue.errorRange[0] + mapping.character,
+				issue.errorRange[1],
+			];
+		}
+		if (issue.fixInfo) {
+			hostIssue.fixInfo = this.#toHostFixInfo(issue.fixInfo, issue.lineNumber);
+		}
+		return hostIssue;
+	}
+
+	#toHostFixInfo(fixInfo, issueLineNumber) {
+		const mapping = this.#lines[(fixInfo.lineNumber ?? issueLineNumber) - 1];
+		const editColumn = fixInfo.editColumn ?? 1;
+		const insertText = fixInfo.insertText ?? "";
+		const hostFixInfo = {
+			lineNumber: mapping.line + 1,
+			editColumn: editColumn + mapping.character,
+			deleteCount: fixInfo.deleteCount ?? 0,
+			insertText: this.#toHostInsertText(insertText),
+		};
+
+		if (hostFixInfo.deleteCount === -1 && mapping.shared) {
+			// Deleting the whole line would delete the delimiter too.
+			hostFixInfo.editColumn = mapping.character + 1;
+			hostFixInfo.deleteCount = mapping.length;
+		} else if (
+			editColumn === 1 &&
+			insertText.endsWith("\n") &&
+			!mapping.shared
+		) {
+			// Inserted lines go before the line's own prefix, so it stays intact.
+			hostFixInfo.editColumn = 1;
+			hostFixInfo.insertText = insertText
+				.slice(0, -1)
+				.split("\n")
+				.map((line) => this.#toHostLine(line))
+				.map((line) => `${line}\n`)
+				.join("");
+		}
+		return hostFixInfo;
+	}
+
+	// Inserted lines after the first continue the comment.
+	#toHostInsertText(insertText) {
+		const [first, ...rest] = insertText.split("\n");
+		return [
+			first,
+			...rest.map((line, index) =>
+				index === rest.length - 1
+					? `${this.#continuation}${line}`
+					: this.#toHostLine(line),
+			),
+		].join("\n");
+	}
+
+	#toHostLine(line) {
+		return line ? `${this.#continuation}${line}` : this.#continuation.trimEnd();
+	}
+}
@@ -0,0 +1,149 @@
+// Beyond this many inserted or deleted lines the diff falls back to a single
+// edit, keeping the Myers trace (quadratic in the edit distance) bounded.
+const MAX_EDIT_DISTANCE = 1000;
+
+function splitLines(text) {
+	return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+/**
+ * Finds the longest common subsequence of lines using Myers' algorithm.
+ *
+ * @param {string[]} a Original lines.
+ * @param {string[]} b Modified lines.
+ * @returns {Array<[number, number]>|null} Ascending pairs of matching line
+ * indices, or null when the edit distance exceeds {@link MAX_EDIT_DISTANCE}.
+ */
+function findMatchingLines(a, b) {
+	const n = a.length;
+	const m = b.length;
+	const maxDistance = Math.min(n + m, MAX_EDIT_DISTANCE);
+	const trace = [];
+	let v = new Map([[1, 0]]);
+
+	for (let d = 0; d <= maxDistance; d += 1) {
+		trace.push(v);
+		v = new Map(v);
+		for (let k = -d; k <= d; k += 2) {
+			const down = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1));
+			let x = down ? v.get(k + 1) : v.get(k - 1) + 1;
+			let y = x - k;
+			while (x < n && y < m && a[x] === b[y]) {
+				x += 1;
+				y += 1;
+			}
+			v.set(k, x);
+			if (x >= n && y >= m) {
+				return backtrack(trace, n, m);
+			}
+		}
+	}
+
+	return null;
+}
+
+function backtrack(trace, n, m) {
+	const matches = [];
+	let x = n;
+	let y = m;
+
+	for (let d = trace.length - 1; d >= 0; d -= 1) {
+		const v = trace[d];
+		const k = x - y;
+		const down = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1));
+		const previousK = down ? k + 1 : k - 1;
+		const previousX = v.get(previousK);
+		const snakeStartX = down ? previousX : previousX + 1;
+
+		while (x > snakeStartX) {
+			x -= 1;
+			y -= 1;
+			matches.push([x, y]);
+		}
+		x = previousX;
+		y = previousX - previousK;
+	}
+
+	return matches.reverse();
+}
+
+/**
+ * Reduces a replacement of `original` by `modified` to a single edit covering
+ * only the characters that differ.
+ *
+ * @param {string} original Original text.
+ * @param {string} modified Modified text.
+ * @param {number} [baseOffset=0] Offset of `original` within its document.
+ * @returns {{offset: number, length: number, content: string}}
+ */
+export function toMinimalEdit(original, modified, baseOffset = 0) {
+	let start = 0;
+	while (
+		start < original.length &&
+		start < modified.length &&
+		original[start] === modified[start]
+	) {
+		start += 1;
+	}
+
+	let end = 0;
+	while (
+		end < original.length - start &&
+		end < modified.length - start &&
+		original[original.length - 1 - end] === modified[modified.length - 1 - end]
+	) {
+		end += 1;
+	}
+
+	return {
+		offset: baseOffset + start,
+		length: original.length - start - end,
+		content: modified.slice(start, modified.length - end),
+	};
+}
+
+/**
+ * Computes the edits that turn `original` into `modified`, diffing by line and
+ * then narrowing each changed region to the characters that differ.
+ *
+ * @param {string} original Original text.
+ * @param {string} modified Modified text.
+ * @returns {Array<{offset: number, length: number, content: string}>}
+ * Non-overlapping, offset-based edits in ascending order.
+ */
+export function computeTextEdits(original, modified) {
+	if (original === modified) {
+		return [];
+	}
+
+	const a = splitLines(original);
+	const b = splitLines(modified);
+	const matches = findMatchingLines(a, b);
+	if (!matches) {
+		return [toMinimalEdit(original, modified)];
+	}
+
+	const lineOffsets = [0];
+	for (const line of a) {
+		lineOffsets.push(lineOffsets.at(-1) + line.length);
+	}
+
+	const edits = [];
+	let nextA = 0;
+	let nextB = 0;
+	for (const [matchA, matchB] of [...matches, [a.length, b.length]]) {
+		if (matchA > nextA || matchB > nextB) {
+			edits.push(
+				toMinimalEdit(
+					a.slice(nextA, matchA).join(""),
+					b.slice(nextB, matchB).join(""),
+					lineOffsets[nextA],
+				),
+			);
+		}
+		nextA = matchA + 1;
+		nextB = matchB + 1;
+	}
+
+	return edits;
+}
@@ -1,19 +1,60 @@
+import os from "node:os";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { getConfigCacheKey } from "./cache-keys.mjs";
-import { loadConfig } from "./config.mjs";
+import {
+	findClosestConfigFile,
+	findUserConfigFile,
+	loadConfig,
+} from "./config.mjs";
+import { loadCustomRules } from "./custom-rules.mjs";
+
+function isWithinDirectory(parent, child) {
+	const relative = path.relative(parent, child);
+	return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
 
 export class WorkspaceContext {
 	#configCache = new Map();
+	#customRulesCache = new Map();
 	#configCacheMaxSize;
 	#configChangeDebounceMs;
 	#configChangeTimeout = null;
 	#rootPath = null;
 	#workspaceFolders = [];
+	#watchFile;
+	#unwatchFile;
+	#watchedFiles = new Set();
+	// Files changed since the last reload; null when everything must reload.
+	#pendingChangedPaths = new Set();
+	// Settings per workspace folder path; the null key applies to all.
+	#configFileSettings = new Map();
+	#userConfigFile = null;
+	#userConfigPath = null;
 
-	constructor({ configCacheMaxSize, configChangeDebounceMs }) {
+	/**
+	 * @param {object} params
+	 * @param {number} params.configCacheMaxSize Maximum number of cached
+	 * configurations.
+	 * @param {number} params.configChangeDebounceMs Delay before reloading
+	 * configuration after a change.
+	 * @param {Function} [params.watchFile] Called once with the absolute path
+	 * of each base configuration file (see setConfigFileSettings) and file
+	 * extended by a configuration, which the file watchers registered for
+	 * configuration file names may not cover.
+	 * @param {Function} [params.unwatchFile] Called with the path of a watched
+	 * file in a workspace folder that was removed.
+	 */
+	constructor({
+		configCacheMaxSize,
+		configChangeDebounceMs,
+		watchFile = () => {},
+		unwatchFile = () => {},
+	}) {
 		this.#configCacheMaxSize = configCacheMaxSize;
 		this.#configChangeDebounceMs = configChangeDebounceMs;
+		this.#watchFile = watchFile;
+		this.#unwatchFile = unwatchFile;
 	}
 
 	initialize({ rootPath, rootUri, workspaceFolders = [] }) {
@@ -21,23 +62,187 @@ export class WorkspaceContext {
 		this.#rootPath = this.#chooseRootPath(rootPath, rootUri, workspaceFolders);
 	}
 
-	scheduleConfigReload(onReload, logger = () => {}) {
+	/**
+	 * Drops cached configuration after watched files changed, debounced so a
+	 * burst of changes (e.g. switching branches) reloads once. Only the entries
+	 * depending on a changed file are dropped: those for directories at or
+	 * below it (where it may be a configuration or ignore file) and those
+	 * extending it. Without `changedUris` (or when it is empty), the whole
+	 * cache is cleared.
+	 *
+	 * @param {Function} onReload Called once the cache is updated. Open
+	 * documents without cached configuration (see {@link hasCachedConfig})
+	 * should then be validated again.
+	 * @param {Function} [logger] Optional logger function.
+	 * @param {string[]} [changedUris] URIs of the changed files.
+	 */
+	scheduleConfigReload(onReload, logger = () => {}, changedUris = undefined) {
 		if (this.#configChangeTimeout) {
 			clearTimeout(this.#configChangeTimeout);
 		}
 
+		// Without file paths to go by, everything may be affected.
+		if (
+			this.#pendingChangedPaths &&
+			changedUris?.length > 0 &&
+			changedUris.every((uri) => uri.startsWith("file:"))
+		) {
+			for (const uri of changedUris) {
+				this.#pendingChangedPaths.add(fileURLToPath(uri));
+			}
+		} else {
+			this.#pendingChangedPaths = null;
+		}
+
 		this.#configChangeTimeout = setTimeout(() => {
-			logger(
-				"Configuration file changed. Clearing config cache and re-validating all documents.",
-			);
-			this.clearCache();
+			const changedPaths = this.#pendingChangedPaths;
+			this.#pendingChangedPaths = new Set();
+			if (changedPaths) {
+				logger(
+					`Configuration files changed: ${[...changedPaths].join(", ")}. Clearing affected config cache entries.`,
+				);
+				this.#invalidateConfigCache(changedPaths, logger);
+			} else {
+				logger("Configuration file changed. Clearing config cache.");
+				this.clearCache();
+			}
 			onReload();
 			this.#configChangeTimeout = null;
 		}, this.#configChangeDebounceMs);
 	}
 
+	/**
+	 * Whether the configuration for a document is cached, i.e. it has not been
+	 * invalidated by a configuration change since it was last loaded.
+	 *
+	 * @param {string} documentUri Document URI.
+	 * @returns {boolean}
+	 */
+	hasCachedConfig(documentUri) {
+		const workspaceRoot = this.getWorkspaceRootFor(documentUri);
+		return this.#configCache.has(getConfigCacheKey(documentUri, workspaceRoot));
+	}
+
 	clearCache() {
 		this.#configCache.clear();
+		this.#customRulesCache.clear();
+		this.#userConfigFile = null;
+		this.#userConfigPath = null;
+	}
+
+	/**
+	 * Sets the `configFile` and `configDiscovery` settings, for all documents
+	 * or for those in one workspace folder. Settings not given for a folder
+	 * fall back to the ones for all documents. Clears the cache when they
+	 * change.
+	 *
+	 * - `configFile`: an absolute, `~/` or workspace-relative path of a
+	 *   configuration file applied beneath the discovered ones, used instead
+	 *   of the user configuration file (see findUserConfigFile).
+	 * - `configDiscovery`: `false` to use only `configFile` instead of also
+	 *   discovering configuration files from the document's directory.
+	 *
+	 * @param {{configFile?: string, configDiscovery?: boolean}} settings
+	 * @param {string|null} [folderPath] Workspace folder path, or null for all
+	 * documents.
+	 * @returns {boolean} Whether the settings changed.
+	 */
+	setConfigFileSettings({ configFile, configDiscovery }, folderPath = null) {
+		const settings = {};
+		if (typeof configFile === "string" && configFile !== "") {
+			settings.configFile = configFile;
+		}
+		if (typeof configDiscovery === "boolean") {
+			settings.configDiscovery = configDiscovery;
+		}
+		const previous = this.#configFileSettings.get(folderPath) ?? {};
+		if (JSON.stringify(previous) === JSON.stringify(settings)) {
+			return false;
+		}
+		this.#configFileSettings.set(folderPath, settings);
+		this.clearCache();
+		return true;
+	}
+
+	#getConfigFileSettings(workspaceRoot) {
+		return {
+			...this.#configFileSettings.get(null),
+			...this.#configFileSettings.get(workspaceRoot),
+		};
+	}
+
+	async #getBaseConfigFile(workspaceRoot, logger) {
+		const { configFile } = this.#getConfigFileSettings(workspaceRoot);
+		if (configFile) {
+			return configFile.startsWith("~/")
+				? path.join(os.homedir(), configFile.slice(2))
+				: path.resolve(workspaceRoot, configFile);
+		}
+
+		if (!this.#userConfigFile) {
+			this.#userConfigFile = findUserConfigFile().then((userConfigFile) => {
+				if (userConfigFile) {
+					logger(`Found user config file: ${userConfigFile}`);
+				}
+				this.#userConfigPath = userConfigFile;
+				return userConfigFile;
+			});
+		}
+		return this.#userConfigFile;
+	}
+
+	#invalidateConfigCache(changedPaths, logger) {
+		// Once the user configuration file is deleted, another one may apply.
+		if (this.#userConfigPath && changedPaths.has(this.#userConfigPath)) {
+			this.#userConfigFile = null;
+			this.#userConfigPath = null;
+			logger("Invalidated user config file lookup");
+		}
+		// Rules from settings are resolved from the workspace root; documents
+		// there are linted with them and need revalidating.
+		const changedRulesRoots = new Set();
+		for (const [cacheKey, entry] of this.#customRulesCache) {
+			if (entry.loadedFiles.some((filePath) => changedPaths.has(filePath))) {
+				this.#customRulesCache.delete(cacheKey);
+				changedRulesRoots.add(entry.baseDir);
+				logger(`Invalidated custom rules cache entry: ${cacheKey}`);
+			}
+		}
+		for (const [cacheKey, entry] of this.#configCache) {
+			if (changedRulesRoots.has(entry.workspaceRoot)) {
+				this.#configCache.delete(cacheKey);
+				logger(`Invalidated config cache entry: ${cacheKey}`);
+				continue;
+			}
+			for (const filePath of changedPaths) {
+				if (WorkspaceContext.#dependsOn(entry, filePath)) {
+					this.#configCache.delete(cacheKey);
+					logger(`Invalidated config cache entry: ${cacheKey}`);
+					break;
+				}
+			}
+		}
+	}
+
+	// Configuration and ignore files are looked up from the document's
+	// directory up to the workspace root; the base configuration file and
+	// extended files can be anywhere.
+	static #dependsOn(
+		{ documentOptions, workspaceRoot, baseConfigFile, directory },
+		filePath,
+	) {
+		if (
+			filePath === baseConfigFile ||
+			documentOptions._extendedFiles?.includes(filePath)
+		) {
+			return true;
+		}
+		const changedDirectory = path.dirname(filePath);
+		return (
+			directory !== null &&
+			isWithinDirectory(changedDirectory, directory) &&
+			isWithinDirectory(workspaceRoot, changedDirectory)
+		);
 	}
 
 	updateWorkspaceFolders(event, logger = () => {}) {
@@ -50,6 +255,20 @@ export class WorkspaceContext {
 
 		this.#workspaceFolders.push(...event.added);
 
+		for (const folder of event.removed) {
+			if (!folder.uri?.startsWith("file:")) {
+				continue;
+			}
+			const folderPath = fileURLToPath(folder.uri);
+			this.#configFileSettings.delete(folderPath);
+			for (const filePath of this.#watchedFiles) {
+				if (isWithinDirectory(folderPath, filePath)) {
+					this.#watchedFiles.delete(filePath);
+					this.#unwatchFile(filePath);
+				}
+			}
+		}
+
 		const rootPathStillPresent = this.#isPathInWorkspaceFolders(this.#rootPath);
 		if (!rootPathStillPresent) {
 			this.#rootPath = this.#chooseRootPath(null, null, this.#workspaceFolders);
@@ -62,6 +281,16 @@ export class WorkspaceContext {
 		this.clearCache();
 	}
 
+	getWorkspaceFolderPaths() {
+		const folderPaths = this.#workspaceFolders
+			.filter((folder) => folder.uri?.startsWith("file:"))
+			.map((folder) => fileURLToPath(folder.uri));
+		if (folderPaths.length === 0 && this.#rootPath) {
+			return [this.#rootPath];
+		}
+		return folderPaths;
+	}
+
 	getWorkspaceRootFor(documentUri, logger = () => {}) {
 		if (!documentUri.startsWith("file:")) {
 			return this.#rootPath ?? process.cwd();
@@ -106,12 +335,19 @@ export class WorkspaceContext {
 	) {
 		const workspaceRoot = this.getWorkspaceRootFor(documentUri, logger);
 		const cacheKey = getConfigCacheKey(documentUri, workspaceRoot);
-		let documentOptions = this.#configCache.get(cacheKey);
+		let documentOptions = this.#configCache.get(cacheKey)?.documentOptions;
 
 		if (!documentOptions) {
+			const baseConfigFile = await this.#getBaseConfigFile(
+				workspaceRoot,
+				logger,
+			);
 			documentOptions =
 				(await loadConfig(documentUri, workspaceRoot, logger, {
 					allowJavaScriptConfig,
+					baseConfigFile,
+					configDiscovery:
+						this.#getConfigFileSettings(workspaceRoot).configDiscovery ?? true,
 				})) || {};
 
 			if (this.#configCache.size >= this.#configCacheMaxSize) {
@@ -120,11 +356,24 @@ export class WorkspaceContext {
 				logger(`Evicted oldest config cache entry: ${oldestKey}`);
 			}
 
-			this.#configCache.set(cacheKey, documentOptions);
+			this.#configCache.set(cacheKey, {
+				documentOptions,
+				workspaceRoot,
+				baseConfigFile,
+				directory: documentUri.startsWith("file:")
+					? path.dirname(fileURLToPath(documentUri))
+					: null,
+			});
 			logger(`Cached config for ${cacheKey}`);
+
+			this.#watchFiles([
+				...(baseConfigFile ? [baseConfigFile] : []),
+				...(documentOptions._extendedFiles ?? []),
+			]);
 		} else {
+			const entry = this.#configCache.get(cacheKey);
 			this.#configCache.delete(cacheKey);
-			this.#configCache.set(cacheKey, documentOptions);
+			this.#configCache.set(cacheKey, entry);
 			logger(`Using cached config for ${cacheKey}`);
 		}
 
@@ -134,6 +383,86 @@ export class WorkspaceContext {
 		};
 	}
 
+	#watchFiles(filePaths) {
+		for (const filePath of filePaths) {
+			if (!this.#watchedFiles.has(filePath)) {
+				this.#watchedFiles.add(filePath);
+				this.#watchFile(filePath);
+			}
+		}
+	}
+
+	/**
+	 * Loads custom rules declared outside configuration files (i.e. in
+	 * settings), resolving them from `baseDir`. Results are cached until the
+	 * config cache is cleared or one of the rule modules changes.
+	 *
+	 * @param {Array<string|object>} customRules Module names, paths or rules.
+	 * @param {string} baseDir Directory to resolve entries from.
+	 * @param {boolean} allowJavaScriptConfig Whether modules may be loaded.
+	 * @param {Function} [logger] Optional logger function.
+	 * @returns {Promise<object[]>}
+	 */
+	async loadCustomRules(
+		customRules,
+		baseDir,
+		allowJavaScriptConfig,
+		logger = () => {},
+	) {
+		const cacheKey = `${baseDir}:${JSON.stringify(customRules)}`;
+		let entry = this.#customRulesCache.get(cacheKey);
+		if (!entry) {
+			const loadedFiles = [];
+			const rules = loadCustomRules(customRules, baseDir, {
+				logger,
+				allowJavaScriptConfig,
+				loadedFiles,
+			});
+			entry = { rules, baseDir, loadedFiles };
+			this.#customRulesCache.set(cacheKey, entry);
+			rules.then(() => this.#watchFiles(loadedFiles));
+		}
+		return entry.rules;
+	}
+
+	/**
+	 * Finds the configuration file closest to a document. The result is cached
+	 * with the document's configuration, so it is found again when that is
+	 * invalidated.
+	 *
+	 * @param {string} documentUri Document URI.
+	 * @param {boolean} allowJavaScriptConfig Whether JavaScript configuration
+	 * files may be loaded.
+	 * @param {Function} [logger] Optional logger function.
+	 * @returns {Promise<{configPath: string|null, workspaceRoot: string}>}
+	 */
+	async findClosestConfigFile(
+		documentUri,
+		allowJavaScriptConfig,
+		logger = () => {},
+	) {
+		const { workspaceRoot } = await this.loadDocumentOptions(
+			documentUri,
+			allowJavaScriptConfig,
+			logger,
+		);
+		const entry = this.#configCache.get(
+			getConfigCacheKey(documentUri, workspaceRoot),
+		);
+		if (entry?.closestConfigPath === undefined) {
+			const closestConfigPath = findClosestConfigFile(
+				documentUri,
+				workspaceRoot,
+				{ logger, allowJavaScriptConfig },
+			);
+			if (!entry) {
+				return { configPath: await closestConfigPath, workspaceRoot };
+			}
+			entry.closestConfigPath = closestConfigPath;
+		}
+		return { configPath: await entry.closestConfigPath, workspaceRoot };
+	}
+
 	#chooseRootPath(rootPath, rootUri, workspaceFolders = []) {
 		if (rootPath) {
 			return rootPath;
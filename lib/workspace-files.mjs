@@ -0,0 +1,77 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DEFAULT_LANGUAGE_IDS } from "./language-preprocessors.mjs";
+
+// The language IDs editors commonly give files by extension (lowercase), in
+// order of preference.
+const FILE_EXTENSION_LANGUAGE_IDS = {
+	".md": ["markdown"],
+	".markdown": ["markdown"],
+	".mdx": ["mdx"],
+	".qmd": ["quarto"],
+	".rmd": ["rmd", "rmarkdown"],
+};
+
+// Directories markdownlint-cli2 never descends into by default.
+const SKIPPED_DIRECTORY_NAMES = new Set([".git", "node_modules"]);
+
+/**
+ * Gets the language ID of a file from its extension, e.g. "mdx" for
+ * `page.mdx`, as long as it is one of the linted language IDs.
+ *
+ * @param {string} filePath File path.
+ * @param {string[]} [languageIds] Language IDs of documents to lint.
+ * @returns {string|null} The language ID, or null if the file is not linted.
+ */
+export function getFileLanguageId(
+	filePath,
+	languageIds = DEFAULT_LANGUAGE_IDS,
+) {
+	const candidates =
+		FILE_EXTENSION_LANGUAGE_IDS[path.extname(filePath).toLowerCase()] ?? [];
+	return (
+		candidates.find((languageId) => languageIds.includes(languageId)) ?? null
+	);
+}
+
+/**
+ * Recursively collects the files to lint below the given directories: those
+ * whose extension maps to one of `languageIds` (see getFileLanguageId).
+ *
+ * @param {string[]} directories Absolute directory paths to walk.
+ * @param {string[]} [languageIds] Language IDs of documents to lint.
+ * @param {Function} [logger=()=>{}] Optional logger function.
+ * @returns {Promise<string[]>} Sorted, de-duplicated absolute file paths.
+ */
+export async function findMarkdownFiles(
+	directories,
+	languageIds = DEFAULT_LANGUAGE_IDS,
+	logger = () => {},
+) {
+	const filePaths = new Set();
+	const pendingDirectories = [...directories];
+
+	while (pendingDirectories.length > 0) {
+		const dir = pendingDirectories.pop();
+		let entries;
+		try {
+			entries = await fs.readdir(dir, { withFileTypes: true });
+		} catch (error) {
+			logger(`Error reading directory ${dir}: ${error}`);
+			continue;
+		}
+
+		for (const entry of entries) {
+			const entryPath = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				if (!SKIPPED_DIRECTORY_NAMES.has(entry.name)) {
+					pendingDirectories.push(entryPath);
+				}
+			} else if (entry.isFile() && getFileLanguageId(entry.name, languageIds)) {
+				filePaths.add(entryPath);
+			}
+		}
+	}
+
+	return [...filePaths].sort();
+}
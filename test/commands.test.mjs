@@ -0,0 +1,160 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, beforeEach, describe, it } from "mocha";
+import { TestLanguageClient } from "./helpers.mjs";
+
+describe("Execute Command", () => {
+	const workspaceDir = path.join(os.tmpdir(), "markdownlint-lsp-commands");
+	const readmeUri = pathToFileURL(path.join(workspaceDir, "README.md")).href;
+	const guideUri = pathToFileURL(
+		path.join(workspaceDir, "docs", "guide.md"),
+	).href;
+	const cleanUri = pathToFileURL(
+		path.join(workspaceDir, "docs", "clean.md"),
+	).href;
+	let client;
+	let appliedEdits;
+
+	before(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+		await fs.mkdir(path.join(workspaceDir, "docs"), { recursive: true });
+		await fs.writeFile(path.join(workspaceDir, "README.md"), "#Readme\n");
+		await fs.writeFile(
+			path.join(workspaceDir, "docs", "guide.md"),
+			"# Guide\n\nText \n",
+		);
+		await fs.writeFile(
+			path.join(workspaceDir, "docs", "clean.md"),
+			"# Clean\n",
+		);
+		await fs.writeFile(
+			path.join(workspaceDir, ".markdownlint.json"),
+			JSON.stringify({ MD013: { line_length: 120 } }),
+		);
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(workspaceDir).href,
+			capabilities: {
+				workspace: {
+					applyEdit: true,
+				},
+			},
+		});
+		client.onServerRequest("workspace/applyEdit", (params) => {
+			appliedEdits.push(params);
+			return { applied: true };
+		});
+		await client.start();
+	});
+
+	beforeEach(() => {
+		appliedEdits = [];
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+	});
+
+	it("should advertise the supported commands", () => {
+		expect(client.capabilities.executeCommandProvider.commands).to.deep.equal([
+			"markdownlint.fixAll",
+			"markdownlint.fixWorkspace",
+			"markdownlint.revalidateAll",
+			"markdownlint.showEffectiveConfig",
+		]);
+	});
+
+	it("should fix a single document", async () => {
+		const result = await client.executeCommand("markdownlint.fixAll", [
+			readmeUri,
+		]);
+
+		expect(result).to.deep.equal({ applied: true, fixedFiles: 1 });
+		expect(appliedEdits).to.have.lengthOf(1);
+		expect(appliedEdits[0].edit.changes).to.deep.equal({
+			[readmeUri]: [
+				{
+					range: {
+						start: { line: 0, character: 1 },
+						end: { line: 0, character: 1 },
+					},
+					newText: " ",
+				},
+			],
+		});
+	});
+
+	it("should fix open documents from their editor contents", async () => {
+		const uri = pathToFileURL(path.join(workspaceDir, "open.md")).href;
+		await client.openTextDocument(uri, "#Open\n");
+
+		const result = await client.executeCommand("markdownlint.fixAll", [
+			{ uri },
+		]);
+
+		expect(result).to.deep.equal({ applied: true, fixedFiles: 1 });
+		expect(appliedEdits[0].edit.changes[uri]).to.have.lengthOf(1);
+		await client.closeTextDocument(uri);
+	});
+
+	it("should fix every Markdown file in the workspace", async () => {
+		const result = await client.executeCommand("markdownlint.fixWorkspace");
+
+		expect(result).to.deep.equal({ applied: true, fixedFiles: 2 });
+		expect(Object.keys(appliedEdits[0].edit.changes).sort()).to.deep.equal(
+			[readmeUri, guideUri].sort(),
+		);
+		expect(appliedEdits[0].edit.changes).to.not.have.property(cleanUri);
+	});
+
+	it("should not request an edit when nothing is fixable", async () => {
+		const result = await client.executeCommand("markdownlint.fixAll", [
+			cleanUri,
+		]);
+
+		expect(result).to.deep.equal({ applied: true, fixedFiles: 0 });
+		expect(appliedEdits).to.have.lengthOf(0);
+	});
+
+	it("should revalidate open documents", async () => {
+		const uri = pathToFileURL(path.join(workspaceDir, "revalidate.md")).href;
+		await client.openTextDocument(uri, "#No space\n");
+		await client.waitForDiagnostics(uri);
+
+		const diagnosticsPromise = client.waitForDiagnostics(uri);
+		await client.executeCommand("markdownlint.revalidateAll");
+		const { diagnostics } = await diagnosticsPromise;
+
+		expect(diagnostics.some((item) => item.code === "MD018")).to.equal(true);
+		await client.closeTextDocument(uri);
+	});
+
+	it("should return the effective configuration for a document", async () => {
+		const options = await client.executeCommand(
+			"markdownlint.showEffectiveConfig",
+			[readmeUri],
+		);
+
+		expect(options.config).to.deep.equal({
+			default: true,
+			MD013: { line_length: 120 },
+		});
+		expect(Object.keys(options).some((key) => key.startsWith("_"))).to.equal(
+			false,
+		);
+	});
+
+	it("should reject commands without a document URI", async () => {
+		let error;
+		try {
+			await client.executeCommand("markdownlint.fixAll");
+		} catch (caught) {
+			error = caught;
+		}
+		expect(error?.message).to.match(/expects a document URI/);
+	});
+});
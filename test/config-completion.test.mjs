@@ -0,0 +1,135 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+function labels(items) {
+	return (items ?? []).map((item) => item.label);
+}
+
+describe("Configuration File Completion", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient();
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should complete rule names, aliases and tags in JSONC", async () => {
+		const uri = createTestDocumentUri("config-completion/.markdownlint.jsonc");
+		await client.openTextDocument(uri, '{\n  "MD0\n}\n', "jsonc");
+
+		const items = await client.requestCompletion(uri, {
+			line: 1,
+			character: 6,
+		});
+		expect(labels(items)).to.include.members([
+			"MD003",
+			"heading-style",
+			"headings",
+			"default",
+		]);
+
+		const item = items.find((candidate) => candidate.label === "MD003");
+		expect(item.detail).to.equal("heading-style");
+		expect(item.textEdit).to.deep.equal({
+			range: {
+				start: { line: 1, character: 2 },
+				end: { line: 1, character: 6 },
+			},
+			newText: '"MD003"',
+		});
+	});
+
+	it("should complete parameter names of a rule", async () => {
+		const uri = createTestDocumentUri(
+			"config-completion/params/.markdownlint.jsonc",
+		);
+		await client.openTextDocument(uri, '{\n  "MD013": { "" }\n}\n', "jsonc");
+
+		const items = await client.requestCompletion(uri, {
+			line: 1,
+			character: 15,
+		});
+		expect(labels(items)).to.include.members([
+			"line_length",
+			"code_blocks",
+			"enabled",
+		]);
+		const item = items.find((candidate) => candidate.label === "line_length");
+		expect(item.detail).to.equal("integer");
+		expect(item.documentation.value).to.equal("Number of characters");
+	});
+
+	it("should complete enum values of a parameter in YAML", async () => {
+		const uri = createTestDocumentUri(
+			"config-completion/.markdownlint-cli2.yaml",
+		);
+		await client.openTextDocument(
+			uri,
+			"config:\n  MD003:\n    style: \n",
+			"yaml",
+		);
+
+		const items = await client.requestCompletion(uri, {
+			line: 2,
+			character: 11,
+		});
+		expect(labels(items)).to.include.members([
+			"consistent",
+			"atx",
+			"setext_with_atx_closed",
+		]);
+		expect(
+			items.find((item) => item.label === "atx").textEdit.newText,
+		).to.equal("atx");
+	});
+
+	it("should complete markdownlint-cli2 options and rule values", async () => {
+		const uri = createTestDocumentUri(
+			"config-completion/.markdownlint-cli2.jsonc",
+		);
+		await client.openTextDocument(
+			uri,
+			'{\n  "no",\n  "config": { "MD001": }\n}\n',
+			"jsonc",
+		);
+
+		const optionItems = await client.requestCompletion(uri, {
+			line: 1,
+			character: 5,
+		});
+		expect(labels(optionItems)).to.include.members([
+			"noInlineConfig",
+			"frontMatter",
+			"config",
+		]);
+		expect(labels(optionItems)).to.not.include("MD001");
+
+		const valueItems = await client.requestCompletion(uri, {
+			line: 2,
+			character: 22,
+		});
+		expect(labels(valueItems)).to.deep.equal([
+			"true",
+			"false",
+			"error",
+			"warning",
+		]);
+		expect(valueItems[2].textEdit.newText).to.equal('"error"');
+	});
+
+	it("should not complete in Markdown documents", async () => {
+		const uri = createTestDocumentUri("config-completion/README.md");
+		await client.openTextDocument(uri, "# Title\n");
+
+		const items = await client.requestCompletion(uri, {
+			line: 0,
+			character: 2,
+		});
+		expect(items).to.equal(null);
+	});
+});
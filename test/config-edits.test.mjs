@@ -0,0 +1,114 @@
+import { expect } from "chai";
+import { describe, it } from "mocha";
+import {
+	createDisableRuleConfig,
+	getDisableRuleEdits,
+} from "../lib/config-edits.mjs";
+
+const RULE_NAMES = ["MD013", "line-length"];
+
+function applyEdits(content, edits) {
+	return [...edits]
+		.sort((a, b) => b.offset - a.offset)
+		.reduce(
+			(text, edit) =>
+				text.slice(0, edit.offset) +
+				edit.content +
+				text.slice(edit.offset + edit.length),
+			content,
+		);
+}
+
+function disableRule(filename, content) {
+	return applyEdits(
+		content,
+		getDisableRuleEdits(`/workspace/${filename}`, content, RULE_NAMES),
+	);
+}
+
+describe("Config Edits", () => {
+	it("should preserve comments when editing JSONC files", () => {
+		const content = '{\n\t// Keep me\n\t"default": true\n}\n';
+		expect(disableRule(".markdownlint.jsonc", content)).to.equal(
+			'{\n\t// Keep me\n\t"default": true,\n\t"MD013": false\n}\n',
+		);
+	});
+
+	it("should reuse an alias key that is already configured", () => {
+		const content = '{\n  "line-length": { "line_length": 100 }\n}\n';
+		expect(disableRule(".markdownlint.json", content)).to.equal(
+			'{\n  "line-length": false\n}\n',
+		);
+	});
+
+	it("should nest rules under config in markdownlint-cli2 files", () => {
+		const content = '{\n\t"ignores": []\n}\n';
+		expect(disableRule(".markdownlint-cli2.jsonc", content)).to.equal(
+			'{\n\t"ignores": [],\n\t"config": {\n\t\t"MD013": false\n\t}\n}\n',
+		);
+	});
+
+	it("should nest rules under markdownlint-cli2 config in package.json", () => {
+		const content = '{\n  "name": "docs"\n}\n';
+		expect(JSON.parse(disableRule("package.json", content))).to.deep.equal({
+			name: "docs",
+			"markdownlint-cli2": { config: { MD013: false } },
+		});
+	});
+
+	it("should preserve YAML comments and formatting", () => {
+		const content =
+			"# Shared style\ndefault: true # keep\nMD033:\n  allowed_elements: [br]\n";
+		expect(disableRule(".markdownlint.yaml", content)).to.equal(
+			`${content}MD013: false\n`,
+		);
+	});
+
+	it("should only add the rule to non-canonically formatted YAML", () => {
+		const content =
+			'default:    true\nMD003: { style: "atx" }\nMD033:\n    allowed_elements:\n    - br\n\n\n';
+		expect(disableRule(".markdownlint.yaml", content)).to.equal(
+			'default:    true\nMD003: { style: "atx" }\nMD033:\n    allowed_elements:\n    - br\nMD013: false\n\n\n',
+		);
+	});
+
+	it("should only replace the value of a configured YAML rule", () => {
+		const content =
+			"default:    true\nline-length:\n    line_length: 100\nMD033: false\n";
+		expect(disableRule(".markdownlint.yml", content)).to.equal(
+			"default:    true\nline-length: false\nMD033: false\n",
+		);
+	});
+
+	it("should indent YAML rules like their siblings under config", () => {
+		expect(
+			disableRule(
+				".markdownlint-cli2.yaml",
+				"config:\n    default: true\nignores:\n- drafts/**\n",
+			),
+		).to.equal(
+			"config:\n    default: true\n    MD013: false\nignores:\n- drafts/**\n",
+		);
+		expect(
+			disableRule(".markdownlint-cli2.yaml", "ignores:\n    - drafts/**"),
+		).to.equal("ignores:\n    - drafts/**\nconfig:\n    MD013: false\n");
+	});
+
+	it("should detect YAML content in rc files", () => {
+		expect(disableRule(".markdownlintrc", "default: true\n")).to.equal(
+			"default: true\nMD013: false\n",
+		);
+	});
+
+	it("should not edit JavaScript configuration files", () => {
+		expect(
+			getDisableRuleEdits("/workspace/.markdownlint.cjs", "", RULE_NAMES),
+		).to.equal(null);
+	});
+
+	it("should create a new configuration that disables the rule", () => {
+		expect(JSON.parse(createDisableRuleConfig(RULE_NAMES))).to.deep.equal({
+			MD013: false,
+		});
+	});
+});
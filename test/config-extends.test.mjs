@@ -0,0 +1,138 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { codes, TestLanguageClient } from "./helpers.mjs";
+
+const CONTENT = "# Page\n\n<br>\n\nText \n";
+
+describe("Config extends", function () {
+	this.timeout(10000);
+
+	const workspaceDir = path.join(
+		os.tmpdir(),
+		"markdownlint-lsp-config-extends",
+	);
+	const packageDir = path.join(
+		workspaceDir,
+		"node_modules",
+		"markdownlint-config-company",
+	);
+	const styleFile = path.join(packageDir, "style.json");
+	const docsDir = path.join(workspaceDir, "docs");
+	const cycleDir = path.join(workspaceDir, "cycle");
+	const watchers = [];
+	let client;
+
+	before(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+		await fs.mkdir(packageDir, { recursive: true });
+		await fs.mkdir(path.join(docsDir, "shared"), { recursive: true });
+		await fs.mkdir(cycleDir, { recursive: true });
+
+		await fs.writeFile(
+			path.join(packageDir, "package.json"),
+			JSON.stringify({
+				name: "markdownlint-config-company",
+				main: "style.json",
+			}),
+		);
+		await fs.writeFile(styleFile, JSON.stringify({ MD033: false }));
+		await fs.writeFile(
+			path.join(docsDir, "shared", "base.json"),
+			JSON.stringify({ extends: "markdownlint-config-company", MD009: false }),
+		);
+		await fs.writeFile(
+			path.join(docsDir, ".markdownlint.json"),
+			JSON.stringify({ extends: "./shared/base.json" }),
+		);
+
+		await fs.writeFile(
+			path.join(cycleDir, ".markdownlint.json"),
+			JSON.stringify({ extends: "./a.json" }),
+		);
+		await fs.writeFile(
+			path.join(cycleDir, "a.json"),
+			JSON.stringify({ extends: "./b.json" }),
+		);
+		await fs.writeFile(
+			path.join(cycleDir, "b.json"),
+			JSON.stringify({ extends: "./a.json" }),
+		);
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(workspaceDir).href,
+			capabilities: {
+				workspace: {
+					didChangeWatchedFiles: {
+						dynamicRegistration: true,
+						relativePatternSupport: true,
+					},
+				},
+			},
+		});
+		client.onServerRequest("client/registerCapability", (params) => {
+			for (const registration of params.registrations) {
+				watchers.push(...registration.registerOptions.watchers);
+			}
+		});
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+	});
+
+	it("should apply files and packages extended through a chain", async () => {
+		const uri = pathToFileURL(path.join(docsDir, "page.md")).href;
+		await client.openTextDocument(uri, CONTENT);
+
+		expect(await client.waitForDiagnosticsArray(uri)).to.deep.equal([]);
+		expect(watchers).to.deep.include.members([
+			{
+				globPattern: {
+					baseUri: pathToFileURL(path.join(docsDir, "shared")).href,
+					pattern: "base.json",
+				},
+			},
+			{
+				globPattern: {
+					baseUri: pathToFileURL(packageDir).href,
+					pattern: "style.json",
+				},
+			},
+		]);
+	});
+
+	it("should reload configuration when an extended file changes", async () => {
+		const uri = pathToFileURL(path.join(docsDir, "page.md")).href;
+		await fs.writeFile(styleFile, JSON.stringify({ MD033: true }));
+
+		const published = client.waitForDiagnosticsArray(uri);
+		await client.sendRawNotification("workspace/didChangeWatchedFiles", {
+			changes: [{ uri: pathToFileURL(styleFile).href, type: 2 }],
+		});
+
+		expect(codes(await published)).to.deep.equal(["MD033"]);
+	});
+
+	it("should report circular extends and lint with the defaults", async () => {
+		const uri = pathToFileURL(path.join(cycleDir, "page.md")).href;
+		await client.openTextDocument(uri, CONTENT);
+
+		expect(codes(await client.waitForDiagnosticsArray(uri))).to.deep.equal([
+			"MD009",
+			"MD033",
+		]);
+		const chain = [".markdownlint.json", "a.json", "b.json", "a.json"]
+			.map((name) => path.join(cycleDir, name))
+			.join(" -> ");
+		expect(client.getNotifications("window/showMessage")).to.deep.include({
+			type: 2,
+			message: `markdownlint: Circular extends in ${path.join(cycleDir, ".markdownlint.json")}: ${chain}`,
+		});
+	});
+});
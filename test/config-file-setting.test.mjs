@@ -0,0 +1,239 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { codes, TestLanguageClient } from "./helpers.mjs";
+
+const CONTENT = "# Page\n\n<br>\n\nText \n";
+const CONFIG_FILE = path.join("docs", "style", "markdownlint.yaml");
+
+describe("configFile Setting", function () {
+	this.timeout(10000);
+
+	const baseDir = path.join(os.tmpdir(), "markdownlint-lsp-config-file");
+	const appDir = path.join(baseDir, "app");
+	const siteDir = path.join(baseDir, "site");
+	const appConfigFile = path.join(appDir, CONFIG_FILE);
+	const appUri = pathToFileURL(path.join(appDir, "guide", "page.md")).href;
+	const siteUri = pathToFileURL(path.join(siteDir, "page.md")).href;
+	const folderSettings = new Map();
+	const watchers = [];
+	let client;
+
+	before(async () => {
+		await fs.rm(baseDir, { recursive: true, force: true });
+		await fs.mkdir(path.dirname(appConfigFile), { recursive: true });
+		await fs.mkdir(siteDir, { recursive: true });
+		await fs.writeFile(appConfigFile, "MD009: false\n");
+		await fs.writeFile(
+			path.join(appDir, ".markdownlint-cli2.jsonc"),
+			JSON.stringify({ config: { MD033: false } }),
+		);
+		await fs.writeFile(
+			path.join(siteDir, "site.markdownlint.json"),
+			JSON.stringify({ MD033: false }),
+		);
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(baseDir).href,
+			workspaceFolders: [
+				{ uri: pathToFileURL(appDir).href, name: "app" },
+				{ uri: pathToFileURL(siteDir).href, name: "site" },
+			],
+			initializationOptions: { configFile: CONFIG_FILE },
+			capabilities: {
+				workspace: {
+					didChangeWatchedFiles: {
+						dynamicRegistration: true,
+						relativePatternSupport: true,
+					},
+				},
+			},
+		});
+		client.onServerRequest("client/registerCapability", (params) => {
+			for (const registration of params.registrations) {
+				watchers.push(...registration.registerOptions.watchers);
+			}
+		});
+		client.onServerRequest("workspace/configuration", (params) =>
+			params.items.map((item) => folderSettings.get(item.scopeUri) ?? {}),
+		);
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(baseDir, { recursive: true, force: true });
+	});
+
+	it("should resolve the file from each workspace folder", async () => {
+		await client.openTextDocument(appUri, CONTENT);
+		expect(codes(await client.waitForDiagnosticsArray(appUri))).to.deep.equal(
+			[],
+		);
+
+		// The site folder has no docs/style/markdownlint.yaml.
+		await client.openTextDocument(siteUri, CONTENT);
+		expect(codes(await client.waitForDiagnosticsArray(siteUri))).to.deep.equal([
+			"MD009",
+			"MD033",
+		]);
+
+		expect(watchers).to.deep.include({
+			globPattern: {
+				baseUri: pathToFileURL(path.dirname(appConfigFile)).href,
+				pattern: "markdownlint.yaml",
+			},
+		});
+	});
+
+	it("should reload configuration when the file changes", async () => {
+		await fs.writeFile(appConfigFile, "MD041: false\n");
+
+		const published = client.waitForDiagnosticsArray(appUri);
+		await client.sendRawNotification("workspace/didChangeWatchedFiles", {
+			changes: [{ uri: pathToFileURL(appConfigFile).href, type: 2 }],
+		});
+
+		expect(codes(await published)).to.deep.equal(["MD009"]);
+		await fs.writeFile(appConfigFile, "MD009: false\n");
+	});
+
+	it("should apply settings per workspace folder", async () => {
+		folderSettings.set(pathToFileURL(appDir).href, { configDiscovery: false });
+		folderSettings.set(pathToFileURL(siteDir).href, {
+			configFile: "site.markdownlint.json",
+		});
+
+		const appPublished = client.waitForDiagnosticsArray(appUri);
+		const sitePublished = client.waitForDiagnosticsArray(siteUri);
+		await client.sendRawNotification("workspace/didChangeConfiguration", {
+			settings: {},
+		});
+
+		// Without discovery, the app folder's .markdownlint-cli2.jsonc is unused.
+		expect(codes(await appPublished)).to.deep.equal(["MD033"]);
+		expect(codes(await sitePublished)).to.deep.equal(["MD009"]);
+	});
+});
+
+describe("configFile Setting per Workspace Folder", function () {
+	this.timeout(10000);
+
+	const baseDir = path.join(os.tmpdir(), "markdownlint-lsp-folder-settings");
+	const appDir = path.join(baseDir, "app");
+	const siteDir = path.join(baseDir, "site");
+	const guideDir = path.join(baseDir, "guide");
+	const appUri = pathToFileURL(path.join(appDir, "page.md")).href;
+	const siteUri = pathToFileURL(path.join(siteDir, "page.md")).href;
+	const guideUri = pathToFileURL(path.join(guideDir, "page.md")).href;
+	const folderSettings = new Map();
+	const registrations = new Map();
+	const unregistrations = [];
+	let client;
+
+	before(async () => {
+		await fs.rm(baseDir, { recursive: true, force: true });
+		for (const directory of [appDir, siteDir, guideDir]) {
+			await fs.mkdir(directory, { recursive: true });
+		}
+		await fs.writeFile(
+			path.join(appDir, ".markdownlint-cli2.jsonc"),
+			JSON.stringify({ config: { MD033: false } }),
+		);
+		await fs.writeFile(
+			path.join(siteDir, "site.markdownlint.json"),
+			JSON.stringify({ MD033: false }),
+		);
+		await fs.writeFile(
+			path.join(guideDir, "guide.markdownlint.json"),
+			JSON.stringify({ MD009: false }),
+		);
+		folderSettings.set(pathToFileURL(appDir).href, { configDiscovery: false });
+		folderSettings.set(pathToFileURL(siteDir).href, {
+			configFile: "site.markdownlint.json",
+		});
+		folderSettings.set(pathToFileURL(guideDir).href, {
+			configFile: "guide.markdownlint.json",
+		});
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(baseDir).href,
+			workspaceFolders: [
+				{ uri: pathToFileURL(appDir).href, name: "app" },
+				{ uri: pathToFileURL(siteDir).href, name: "site" },
+			],
+			capabilities: {
+				workspace: {
+					didChangeWatchedFiles: {
+						dynamicRegistration: true,
+						relativePatternSupport: true,
+					},
+				},
+			},
+		});
+		client.onServerRequest("client/registerCapability", (params) => {
+			for (const registration of params.registrations) {
+				registrations.set(
+					registration.id,
+					registration.registerOptions.watchers,
+				);
+			}
+		});
+		client.onServerRequest("client/unregisterCapability", (params) => {
+			for (const unregistration of params.unregisterations) {
+				unregistrations.push(registrations.get(unregistration.id));
+			}
+		});
+		client.onServerRequest("workspace/configuration", (params) =>
+			params.items.map((item) => folderSettings.get(item.scopeUri) ?? {}),
+		);
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(baseDir, { recursive: true, force: true });
+	});
+
+	it("should apply settings per workspace folder on startup", async () => {
+		// Without discovery, the app folder's .markdownlint-cli2.jsonc is unused.
+		await client.openTextDocument(appUri, CONTENT);
+		expect(codes(await client.waitForDiagnosticsArray(appUri))).to.deep.equal([
+			"MD009",
+			"MD033",
+		]);
+
+		await client.openTextDocument(siteUri, CONTENT);
+		expect(codes(await client.waitForDiagnosticsArray(siteUri))).to.deep.equal([
+			"MD009",
+		]);
+	});
+
+	it("should follow workspace folder changes", async () => {
+		await client.openTextDocument(guideUri, CONTENT);
+		expect(codes(await client.waitForDiagnosticsArray(guideUri))).to.deep.equal(
+			["MD009", "MD033"],
+		);
+
+		const published = client.waitForDiagnosticsArray(guideUri);
+		await client.sendRawNotification("workspace/didChangeWorkspaceFolders", {
+			event: {
+				added: [{ uri: pathToFileURL(guideDir).href, name: "guide" }],
+				removed: [{ uri: pathToFileURL(siteDir).href, name: "site" }],
+			},
+		});
+
+		expect(codes(await published)).to.deep.equal(["MD033"]);
+		expect(unregistrations).to.deep.include([
+			{
+				globPattern: {
+					baseUri: pathToFileURL(siteDir).href,
+					pattern: "site.markdownlint.json",
+				},
+			},
+		]);
+	});
+});
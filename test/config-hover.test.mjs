@@ -0,0 +1,95 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+describe("Configuration File Hover", () => {
+	let client;
+	const jsoncUri = createTestDocumentUri("config-hover/.markdownlint.jsonc");
+	const yamlUri = createTestDocumentUri("config-hover/.markdownlint-cli2.yaml");
+
+	before(async () => {
+		client = new TestLanguageClient();
+		await client.start();
+		await client.openTextDocument(
+			jsoncUri,
+			'{\n  "MD013": { "line_length": 100 },\n  "headings": false\n}\n',
+			"jsonc",
+		);
+		await client.openTextDocument(
+			yamlUri,
+			"noInlineConfig: true\nconfig:\n  heading-style:\n    style: atx\n",
+			"yaml",
+		);
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should show rule documentation for rule keys", async () => {
+		const hover = await client.requestHover(jsoncUri, {
+			line: 1,
+			character: 4,
+		});
+
+		expect(hover.contents.kind).to.equal("markdown");
+		expect(hover.contents.value).to.match(/^# `MD013` - Line length/);
+		expect(hover.range).to.deep.equal({
+			start: { line: 1, character: 2 },
+			end: { line: 1, character: 9 },
+		});
+	});
+
+	it("should describe rule parameters", async () => {
+		const hover = await client.requestHover(jsoncUri, {
+			line: 1,
+			character: 16,
+		});
+
+		expect(hover.contents.value).to.equal(
+			"**line_length** (`integer`)\n\nNumber of characters\n\nDefault: `80`",
+		);
+	});
+
+	it("should describe tags", async () => {
+		const hover = await client.requestHover(jsoncUri, {
+			line: 2,
+			character: 5,
+		});
+
+		expect(hover.contents.value).to.match(/^\*\*headings\*\* \(tag\)/);
+		expect(hover.contents.value).to.include("MD001");
+	});
+
+	it("should describe markdownlint-cli2 options and aliases in YAML", async () => {
+		const optionHover = await client.requestHover(yamlUri, {
+			line: 0,
+			character: 3,
+		});
+		expect(optionHover.contents.value).to.equal(
+			"**noInlineConfig** (`boolean`)\n\nWhether to disable support of HTML comments within Markdown content",
+		);
+
+		const ruleHover = await client.requestHover(yamlUri, {
+			line: 2,
+			character: 4,
+		});
+		expect(ruleHover.contents.value).to.match(/^# `MD003` - Heading style/);
+
+		const parameterHover = await client.requestHover(yamlUri, {
+			line: 3,
+			character: 5,
+		});
+		expect(parameterHover.contents.value).to.match(
+			/^\*\*style\*\* \(`"consistent" \| "atx"/,
+		);
+	});
+
+	it("should not show hovers for values", async () => {
+		const hover = await client.requestHover(jsoncUri, {
+			line: 1,
+			character: 29,
+		});
+		expect(hover).to.equal(null);
+	});
+});
@@ -0,0 +1,81 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { TestLanguageClient } from "./helpers.mjs";
+
+const CONTENT = "# Page\n\nText \n";
+
+describe("Config Reload", function () {
+	this.timeout(10000);
+
+	const workspaceDir = path.join(os.tmpdir(), "markdownlint-lsp-config-reload");
+	const guideUri = pathToFileURL(
+		path.join(workspaceDir, "guide", "page.md"),
+	).href;
+	const notesUri = pathToFileURL(
+		path.join(workspaceDir, "notes", "page.md"),
+	).href;
+	let client;
+
+	async function notifyChanged(filePath) {
+		await client.sendRawNotification("workspace/didChangeWatchedFiles", {
+			changes: [{ uri: pathToFileURL(filePath).href, type: 1 }],
+		});
+	}
+
+	// Resolves to whether diagnostics were published again for the document.
+	function republished(uri) {
+		return client.waitForDiagnostics(uri, 1500).then(
+			() => true,
+			() => false,
+		);
+	}
+
+	before(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+		await fs.mkdir(path.join(workspaceDir, "guide"), { recursive: true });
+		await fs.mkdir(path.join(workspaceDir, "notes"), { recursive: true });
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(workspaceDir).href,
+		});
+		await client.start();
+
+		await client.openTextDocument(guideUri, CONTENT);
+		await client.waitForDiagnosticsArray(guideUri);
+		await client.openTextDocument(notesUri, CONTENT);
+		await client.waitForDiagnosticsArray(notesUri);
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+	});
+
+	it("should only revalidate documents under a changed config file", async () => {
+		const configPath = path.join(workspaceDir, "guide", ".markdownlint.json");
+		await fs.writeFile(configPath, JSON.stringify({ MD009: false }));
+
+		const guidePublished = client.waitForDiagnosticsArray(guideUri);
+		const notesRepublished = republished(notesUri);
+		await notifyChanged(configPath);
+
+		expect(await guidePublished).to.deep.equal([]);
+		expect(await notesRepublished).to.equal(false);
+	});
+
+	it("should revalidate all documents below a changed ignore file", async () => {
+		const ignorePath = path.join(workspaceDir, ".markdownlintignore");
+		await fs.writeFile(ignorePath, "notes/\n");
+
+		const guideRepublished = republished(guideUri);
+		const notesPublished = client.waitForDiagnosticsArray(notesUri);
+		await notifyChanged(ignorePath);
+
+		expect(await notesPublished).to.deep.equal([]);
+		expect(await guideRepublished).to.equal(true);
+	});
+});
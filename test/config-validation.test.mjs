@@ -0,0 +1,215 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+function summarize(diagnostics) {
+	return diagnostics.map(({ range, severity, message }) => ({
+		range,
+		severity,
+		message,
+	}));
+}
+
+describe("Configuration File Validation", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient();
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should report JSONC parse errors", async () => {
+		const uri = createTestDocumentUri("config-validation/.markdownlint.jsonc");
+		await client.openTextDocument(
+			uri,
+			'{\n  "MD013": false\n  "MD033": false\n}\n',
+			"jsonc",
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(summarize(diagnostics)).to.deep.equal([
+			{
+				range: {
+					start: { line: 2, character: 2 },
+					end: { line: 2, character: 9 },
+				},
+				severity: 1,
+				message: "JSON syntax error: CommaExpected",
+			},
+		]);
+	});
+
+	it("should report YAML parse errors", async () => {
+		const uri = createTestDocumentUri("config-validation/.markdownlint.yaml");
+		await client.openTextDocument(uri, "MD013: false\n  MD033: [\n", "yaml");
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(diagnostics.length).to.be.greaterThan(0);
+		expect(
+			diagnostics.every((diagnostic) => diagnostic.severity === 1),
+		).to.equal(true);
+		expect(diagnostics[0].message).to.not.match(/at line \d+/);
+	});
+
+	it("should report unknown rules and invalid parameters in YAML", async () => {
+		const uri = createTestDocumentUri("config-validation/.markdownlint.yml");
+		await client.openTextDocument(
+			uri,
+			[
+				"default: true",
+				"MD999: false",
+				"line-length:",
+				"  line_length: eighty",
+				"  unknown_option: true",
+				"md033: maybe",
+				"whitespace: false",
+				"",
+			].join("\n"),
+			"yaml",
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(summarize(diagnostics)).to.deep.equal([
+			{
+				range: {
+					start: { line: 1, character: 0 },
+					end: { line: 1, character: 5 },
+				},
+				severity: 2,
+				message: 'Unknown rule or tag "MD999".',
+			},
+			{
+				range: {
+					start: { line: 3, character: 15 },
+					end: { line: 3, character: 21 },
+				},
+				severity: 2,
+				message: "Incorrect type. Expected integer.",
+			},
+			{
+				range: {
+					start: { line: 4, character: 2 },
+					end: { line: 4, character: 16 },
+				},
+				severity: 2,
+				message: 'Property "unknown_option" is not allowed.',
+			},
+			{
+				range: {
+					start: { line: 5, character: 7 },
+					end: { line: 5, character: 12 },
+				},
+				severity: 2,
+				message: 'Value is not accepted. Valid values: "error" | "warning".',
+			},
+		]);
+	});
+
+	it("should report unknown markdownlint-cli2 options", async () => {
+		const uri = createTestDocumentUri(
+			"config-validation/.markdownlint-cli2.jsonc",
+		);
+		await client.openTextDocument(
+			uri,
+			[
+				"{",
+				"  // Comments are allowed",
+				'  "config": { "MD013": { "line_length": 0 } },',
+				'  "ignore": ["vendor/**"],',
+				'  "noInlineConfig": "yes",',
+				"}",
+				"",
+			].join("\n"),
+			"jsonc",
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(summarize(diagnostics)).to.deep.equal([
+			{
+				range: {
+					start: { line: 2, character: 40 },
+					end: { line: 2, character: 41 },
+				},
+				severity: 2,
+				message: "Value is below the minimum of 1.",
+			},
+			{
+				range: {
+					start: { line: 3, character: 2 },
+					end: { line: 3, character: 10 },
+				},
+				severity: 2,
+				message: 'Unknown markdownlint-cli2 option "ignore".',
+			},
+			{
+				range: {
+					start: { line: 4, character: 20 },
+					end: { line: 4, character: 25 },
+				},
+				severity: 2,
+				message: "Incorrect type. Expected boolean.",
+			},
+		]);
+	});
+
+	it("should allow unknown rule names when custom rules are configured", async () => {
+		const uri = createTestDocumentUri(
+			"config-validation/custom/.markdownlint-cli2.yaml",
+		);
+		await client.openTextDocument(
+			uri,
+			"customRules:\n  - ./rules/custom.js\nconfig:\n  my-rule: false\n",
+			"yaml",
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(diagnostics).to.deep.equal([]);
+	});
+
+	it("should only validate the markdownlint-cli2 section of package.json", async () => {
+		const uri = createTestDocumentUri("config-validation/package.json");
+		await client.openTextDocument(
+			uri,
+			JSON.stringify(
+				{
+					name: "example",
+					scripts: { lint: "markdownlint-cli2" },
+					"markdownlint-cli2": { config: { MD999: false } },
+				},
+				null,
+				2,
+			),
+			"json",
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(diagnostics.map((diagnostic) => diagnostic.message)).to.deep.equal([
+			'Unknown rule or tag "MD999".',
+		]);
+	});
+
+	it("should clear diagnostics once the configuration is fixed", async () => {
+		const uri = createTestDocumentUri(
+			"config-validation/fixed/.markdownlintrc",
+		);
+		await client.openTextDocument(uri, '{ "MD999": false }', "json");
+		const first = await client.waitForDiagnostics(uri);
+		expect(first.diagnostics).to.have.lengthOf(1);
+
+		await client.changeTextDocument(uri, 2, [
+			{
+				range: {
+					start: { line: 0, character: 0 },
+					end: { line: 0, character: 18 },
+				},
+				text: '{ "MD001": false }',
+			},
+		]);
+		const second = await client.waitForDiagnostics(uri);
+		expect(second.diagnostics).to.deep.equal([]);
+	});
+});
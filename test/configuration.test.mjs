@@ -587,6 +587,115 @@ no-duplicate-heading:
 		});
 	});
 
+	describe("gitignore option", () => {
+		const badContent = "# Hello\n## Bad heading increment skipped\n### skip\n";
+
+		it("should suppress diagnostics for files ignored by git when enabled", async () => {
+			const testDir = await prepareTestDir("gitignore");
+			const buildDir = path.join(testDir, "docs", "build");
+			await fs.mkdir(buildDir, { recursive: true });
+
+			await fs.writeFile(
+				path.join(testDir, ".markdownlint-cli2.jsonc"),
+				JSON.stringify({ gitignore: true }),
+			);
+			await fs.writeFile(path.join(testDir, ".gitignore"), "build/\n");
+			await fs.writeFile(
+				path.join(testDir, "docs", ".gitignore"),
+				"draft.md\n",
+			);
+
+			const buildUri = `file://${path.join(buildDir, "api.md")}`;
+			const draftUri = `file://${path.join(testDir, "docs", "draft.md")}`;
+			const lintedUri = `file://${path.join(testDir, "docs", "guide.md")}`;
+
+			await client.openTextDocument(buildUri, badContent);
+			expect(await client.waitForDiagnosticsArray(buildUri)).to.have.length(0);
+
+			await client.openTextDocument(draftUri, badContent);
+			expect(await client.waitForDiagnosticsArray(draftUri)).to.have.length(0);
+
+			await client.openTextDocument(lintedUri, badContent);
+			expect(
+				await client.waitForDiagnosticsArray(lintedUri),
+			).to.have.length.greaterThan(0);
+		});
+
+		it("should honor gitignore from settings", async () => {
+			const testDir = await prepareTestDir("gitignore-setting");
+			await fs.writeFile(path.join(testDir, ".gitignore"), "build/\n");
+
+			const settingsClient = new TestLanguageClient({
+				initializationOptions: { gitignore: true },
+			});
+			await settingsClient.start();
+			try {
+				const buildUri = `file://${path.join(testDir, "build", "api.md")}`;
+				const lintedUri = `file://${path.join(testDir, "guide.md")}`;
+
+				await settingsClient.openTextDocument(buildUri, badContent);
+				expect(
+					await settingsClient.waitForDiagnosticsArray(buildUri),
+				).to.have.length(0);
+
+				await settingsClient.openTextDocument(lintedUri, badContent);
+				expect(
+					await settingsClient.waitForDiagnosticsArray(lintedUri),
+				).to.have.length.greaterThan(0);
+			} finally {
+				await settingsClient.stop();
+			}
+		});
+
+		it("should combine gitignore with ignores from settings", async () => {
+			const testDir = await prepareTestDir("gitignore-settings-ignores");
+			await fs.writeFile(
+				path.join(testDir, ".markdownlint-cli2.jsonc"),
+				JSON.stringify({ gitignore: true }),
+			);
+			await fs.writeFile(path.join(testDir, ".gitignore"), "build/\n");
+
+			const settingsClient = new TestLanguageClient({
+				rootUri: `file://${testDir}`,
+				initializationOptions: { ignores: ["drafts/**"] },
+			});
+			await settingsClient.start();
+			try {
+				const buildUri = `file://${path.join(testDir, "build", "a.md")}`;
+				const draftUri = `file://${path.join(testDir, "drafts", "b.md")}`;
+				const lintedUri = `file://${path.join(testDir, "guide.md")}`;
+
+				await settingsClient.openTextDocument(buildUri, badContent);
+				expect(
+					await settingsClient.waitForDiagnosticsArray(buildUri),
+				).to.have.length(0);
+
+				await settingsClient.openTextDocument(draftUri, badContent);
+				expect(
+					await settingsClient.waitForDiagnosticsArray(draftUri),
+				).to.have.length(0);
+
+				await settingsClient.openTextDocument(lintedUri, badContent);
+				expect(
+					await settingsClient.waitForDiagnosticsArray(lintedUri),
+				).to.have.length.greaterThan(0);
+			} finally {
+				await settingsClient.stop();
+			}
+		});
+
+		it("should lint files ignored by git when not enabled", async () => {
+			const testDir = await prepareTestDir("gitignore-disabled");
+			await fs.writeFile(path.join(testDir, ".gitignore"), "build/\n");
+
+			const uri = `file://${path.join(testDir, "build", "api.md")}`;
+			await client.openTextDocument(uri, badContent);
+			expect(
+				await client.waitForDiagnosticsArray(uri),
+			).to.have.length.greaterThan(0);
+		});
+	});
+
 	describe("RC-style Configuration", () => {
 		it("should load .markdownlintrc configuration", async () => {
 			const testDir = await prepareTestDir("rc");
@@ -0,0 +1,214 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { TestLanguageClient } from "./helpers.mjs";
+
+function createRuleSource(name, word, { commonJs = false } = {}) {
+	const rule = `{
+	names: [${JSON.stringify(name)}],
+	description: ${JSON.stringify(`No ${word}`)},
+	tags: ["custom"],
+	parser: "none",
+	function(params, onError) {
+		params.lines.forEach((line, index) => {
+			if (line.includes(${JSON.stringify(word)})) {
+				onError({ lineNumber: index + 1 });
+			}
+		});
+	},
+}`;
+	return commonJs ? `module.exports = ${rule};\n` : `export default ${rule};\n`;
+}
+
+async function notifyChanged(client, filePath) {
+	await client.sendRawNotification("workspace/didChangeWatchedFiles", {
+		changes: [{ uri: pathToFileURL(filePath).href, type: 2 }],
+	});
+}
+
+function customDiagnostics(diagnostics) {
+	return diagnostics
+		.filter((diagnostic) => !/^MD\d{3}$/.test(diagnostic.code))
+		.map(({ code, message }) => ({ code, message }));
+}
+
+describe("Custom Rules", function () {
+	this.timeout(10000);
+
+	const workspaceDir = path.join(os.tmpdir(), "markdownlint-lsp-custom-rules");
+	const docsDir = path.join(workspaceDir, "docs");
+	const ruleFile = path.join(docsDir, "rules", "no-todo.mjs");
+	const pageUri = pathToFileURL(path.join(docsDir, "guide", "page.md")).href;
+	const rootUri = pathToFileURL(workspaceDir).href;
+	const content = "# Page\n\nTODO and FIXME\n";
+
+	before(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+		await fs.mkdir(path.join(docsDir, "rules"), { recursive: true });
+		await fs.writeFile(ruleFile, createRuleSource("no-todo", "TODO"));
+		await fs.writeFile(
+			path.join(docsDir, ".markdownlint-cli2.jsonc"),
+			JSON.stringify({ customRules: ["./rules/no-todo.mjs"] }),
+		);
+
+		const packageDir = path.join(
+			workspaceDir,
+			"node_modules",
+			"markdownlint-rule-no-fixme",
+		);
+		await fs.mkdir(packageDir, { recursive: true });
+		await fs.writeFile(
+			path.join(packageDir, "package.json"),
+			JSON.stringify({ name: "markdownlint-rule-no-fixme", main: "rule.cjs" }),
+		);
+		await fs.writeFile(
+			path.join(packageDir, "rule.cjs"),
+			createRuleSource("no-fixme", "FIXME", { commonJs: true }),
+		);
+	});
+
+	after(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+	});
+
+	describe("when JavaScript configuration is allowed", () => {
+		let client;
+
+		before(async () => {
+			client = new TestLanguageClient({
+				rootUri,
+				initializationOptions: { allowJavaScriptConfig: true },
+			});
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should resolve rule paths from the declaring config file", async () => {
+			await client.openTextDocument(pageUri, content);
+
+			const diagnostics = await client.waitForDiagnosticsArray(pageUri);
+			expect(customDiagnostics(diagnostics)).to.deep.equal([
+				{ code: "no-todo", message: "No TODO (no-todo)" },
+			]);
+		});
+
+		it("should reload rules when the config cache is cleared", async () => {
+			await fs.writeFile(ruleFile, createRuleSource("no-todo", "FIXME"));
+			const published = client.waitForDiagnosticsArray(pageUri);
+			await client.executeCommand("markdownlint.revalidateAll");
+
+			const diagnostics = await published;
+			expect(customDiagnostics(diagnostics)).to.deep.equal([
+				{ code: "no-todo", message: "No FIXME (no-todo)" },
+			]);
+		});
+
+		it("should reload rules when a rule module changes", async () => {
+			await fs.writeFile(ruleFile, createRuleSource("no-todo", "TODO"));
+			const published = client.waitForDiagnosticsArray(pageUri);
+			await notifyChanged(client, ruleFile);
+
+			const diagnostics = await published;
+			expect(customDiagnostics(diagnostics)).to.deep.equal([
+				{ code: "no-todo", message: "No TODO (no-todo)" },
+			]);
+		});
+	});
+
+	describe("when declared in settings", () => {
+		let client;
+
+		before(async () => {
+			client = new TestLanguageClient({
+				rootUri,
+				initializationOptions: {
+					allowJavaScriptConfig: true,
+					customRules: ["markdownlint-rule-no-fixme"],
+				},
+			});
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should resolve package names from the workspace root", async () => {
+			const uri = pathToFileURL(path.join(workspaceDir, "README.md")).href;
+			await client.openTextDocument(uri, content);
+
+			const diagnostics = await client.waitForDiagnosticsArray(uri);
+			expect(customDiagnostics(diagnostics)).to.deep.equal([
+				{ code: "no-fixme", message: "No FIXME (no-fixme)" },
+			]);
+		});
+	});
+
+	describe("when a rule module declared in settings changes", () => {
+		const settingsRuleFile = path.join(workspaceDir, "rules", "no-word.mjs");
+		let client;
+
+		before(async () => {
+			await fs.mkdir(path.dirname(settingsRuleFile), { recursive: true });
+			await fs.writeFile(settingsRuleFile, createRuleSource("no-word", "TODO"));
+			client = new TestLanguageClient({
+				rootUri,
+				initializationOptions: {
+					allowJavaScriptConfig: true,
+					customRules: ["./rules/no-word.mjs"],
+				},
+			});
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should reload the rules", async () => {
+			const uri = pathToFileURL(path.join(workspaceDir, "NOTES.md")).href;
+			await client.openTextDocument(uri, content);
+			expect(
+				customDiagnostics(await client.waitForDiagnosticsArray(uri)),
+			).to.deep.equal([{ code: "no-word", message: "No TODO (no-word)" }]);
+
+			await fs.writeFile(
+				settingsRuleFile,
+				createRuleSource("no-word", "FIXME"),
+			);
+			const published = client.waitForDiagnosticsArray(uri);
+			await notifyChanged(client, settingsRuleFile);
+
+			expect(customDiagnostics(await published)).to.deep.equal([
+				{ code: "no-word", message: "No FIXME (no-word)" },
+			]);
+		});
+	});
+
+	describe("when JavaScript configuration is not allowed", () => {
+		let client;
+
+		before(async () => {
+			client = new TestLanguageClient({ rootUri });
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should not load rule modules", async () => {
+			await client.openTextDocument(pageUri, "# Page\n\nTODO \n");
+
+			const diagnostics = await client.waitForDiagnosticsArray(pageUri);
+			expect(customDiagnostics(diagnostics)).to.deep.equal([]);
+			expect(diagnostics.map(({ code }) => code)).to.include("MD009");
+		});
+	});
+});
@@ -0,0 +1,245 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+const LONG_LINE = `${"word ".repeat(20)}end`;
+
+async function requestDisableActions(client, uri, content) {
+	await client.openTextDocument(uri, content);
+	const diagnostics = await client.waitForDiagnosticsArray(uri);
+	const md013 = diagnostics.find((diagnostic) => diagnostic.code === "MD013");
+	const actions = await client.requestCodeActions(uri, md013.range, [md013]);
+	return Object.fromEntries(
+		actions.map((action) => [action.title, action.edit.changes[uri][0]]),
+	);
+}
+
+describe("Disable Rule Code Actions", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient();
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should offer inline comments that disable a rule", async () => {
+		const uri = createTestDocumentUri("disable-rule.md");
+		const edits = await requestDisableActions(
+			client,
+			uri,
+			`# Heading\n\n${LONG_LINE}\n`,
+		);
+
+		expect(edits["Disable MD013 for this line"]).to.deep.equal({
+			range: {
+				start: { line: 2, character: LONG_LINE.length },
+				end: { line: 2, character: LONG_LINE.length },
+			},
+			newText: " <!-- markdownlint-disable-line MD013 -->",
+		});
+		expect(edits["Disable MD013 for the next line"]).to.deep.equal({
+			range: {
+				start: { line: 2, character: 0 },
+				end: { line: 2, character: 0 },
+			},
+			newText: "<!-- markdownlint-disable-next-line MD013 -->\n",
+		});
+		expect(edits["Disable MD013 for this file"]).to.deep.equal({
+			range: {
+				start: { line: 0, character: 0 },
+				end: { line: 0, character: 0 },
+			},
+			newText: "<!-- markdownlint-disable-file MD013 -->\n",
+		});
+	});
+
+	it("should place file-level comments after front matter", async () => {
+		const uri = createTestDocumentUri("disable-rule-front-matter.md");
+		const edits = await requestDisableActions(
+			client,
+			uri,
+			`---\ntitle: Test\n---\n# Heading\n\n${LONG_LINE}\n`,
+		);
+
+		expect(edits["Disable MD013 for this file"].range.start).to.deep.equal({
+			line: 3,
+			character: 0,
+		});
+	});
+
+	it("should insert comment lines with the document's line endings", async () => {
+		const uri = createTestDocumentUri("disable-rule-crlf.md");
+		const edits = await requestDisableActions(
+			client,
+			uri,
+			`# Heading\r\n\r\n${LONG_LINE}\r\n`,
+		);
+
+		expect(edits["Disable MD013 for the next line"].newText).to.equal(
+			"<!-- markdownlint-disable-next-line MD013 -->\r\n",
+		);
+		expect(edits["Disable MD013 for this file"].newText).to.equal(
+			"<!-- markdownlint-disable-file MD013 -->\r\n",
+		);
+	});
+
+	it("should offer disable actions for rules without fixes", async () => {
+		const uri = createTestDocumentUri("disable-rule-no-fix.md");
+		await client.openTextDocument(uri, "# Heading\n\n<div>Inline HTML</div>\n");
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		const md033 = diagnostics.find((diagnostic) => diagnostic.code === "MD033");
+
+		const actions = await client.requestCodeActions(uri, md033.range, [md033]);
+		expect(actions.map((action) => action.title)).to.include.members([
+			"Disable MD033 for this line",
+			"Disable MD033 for the next line",
+			"Disable MD033 for this file",
+		]);
+	});
+});
+
+describe("Disable Rule Code Actions with UTF-8 positions", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient({
+			capabilities: {
+				general: {
+					positionEncodings: ["utf-8"],
+				},
+			},
+		});
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should convert inserted comment positions to the negotiated encoding", async () => {
+		const uri = createTestDocumentUri("disable-rule-utf8.md");
+		const line = `${LONG_LINE} héllo wörld`;
+		const edits = await requestDisableActions(
+			client,
+			uri,
+			`# Heading\n\n${line}\n`,
+		);
+
+		expect(edits["Disable MD013 for this line"].range.start).to.deep.equal({
+			line: 2,
+			character: Buffer.byteLength(line, "utf8"),
+		});
+	});
+});
+
+describe("Disable Rule in Configuration File", () => {
+	const workspaceDir = path.join(os.tmpdir(), "markdownlint-lsp-config-action");
+	let client;
+
+	before(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+		await fs.mkdir(path.join(workspaceDir, "docs"), { recursive: true });
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(workspaceDir).href,
+			capabilities: {
+				workspace: {
+					workspaceEdit: {
+						documentChanges: true,
+						resourceOperations: ["create"],
+					},
+				},
+			},
+		});
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+	});
+
+	it("should create a configuration file at the workspace root", async () => {
+		const uri = pathToFileURL(path.join(workspaceDir, "create.md")).href;
+		await client.openTextDocument(uri, `# Heading\n\n${LONG_LINE}\n`);
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		const md013 = diagnostics.find((diagnostic) => diagnostic.code === "MD013");
+
+		const actions = await client.requestCodeActions(uri, md013.range, [md013]);
+		const action = actions.find(
+			(candidate) => candidate.title === "Disable MD013 in .markdownlint.jsonc",
+		);
+		const configUri = pathToFileURL(
+			path.join(workspaceDir, ".markdownlint.jsonc"),
+		).href;
+		expect(action.edit.documentChanges[0]).to.deep.equal({
+			kind: "create",
+			uri: configUri,
+			options: { ignoreIfExists: true },
+		});
+		expect(action.edit.documentChanges[1].edits[0].newText).to.equal(
+			'{\n\t"MD013": false\n}\n',
+		);
+	});
+
+	it("should edit the closest configuration file", async () => {
+		await fs.writeFile(
+			path.join(workspaceDir, "docs", ".markdownlint.jsonc"),
+			'{\n\t// Docs style\n\t"default": true\n}\n',
+		);
+		const uri = pathToFileURL(path.join(workspaceDir, "docs", "edit.md")).href;
+		await client.openTextDocument(uri, `# Heading\n\n${LONG_LINE}\n`);
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		const md013 = diagnostics.find((diagnostic) => diagnostic.code === "MD013");
+
+		const actions = await client.requestCodeActions(uri, md013.range, [md013]);
+		const action = actions.find(
+			(candidate) =>
+				candidate.title === "Disable MD013 in docs/.markdownlint.jsonc",
+		);
+		const configUri = pathToFileURL(
+			path.join(workspaceDir, "docs", ".markdownlint.jsonc"),
+		).href;
+		expect(action.edit.changes[configUri]).to.deep.equal([
+			{
+				range: {
+					start: { line: 2, character: 0 },
+					end: { line: 2, character: 16 },
+				},
+				newText: '\t"default": true,\n\t"MD013": false',
+			},
+		]);
+	});
+
+	it("should find the configuration file again after files change", async () => {
+		const uri = pathToFileURL(path.join(workspaceDir, "create.md")).href;
+		const findTitle = async () => {
+			const actions = await client.requestCodeActions(uri, {
+				start: { line: 2, character: 0 },
+				end: { line: 2, character: LONG_LINE.length },
+			});
+			return actions.find(({ title }) => title.startsWith("Disable MD013 in "))
+				.title;
+		};
+
+		const configPath = path.join(workspaceDir, ".markdownlint.yaml");
+		await fs.writeFile(configPath, "default: true\n");
+		// The closest configuration file is cached until files change.
+		expect(await findTitle()).to.equal("Disable MD013 in .markdownlint.jsonc");
+
+		const republished = client.waitForDiagnostics(uri);
+		await client.sendRawNotification("workspace/didChangeWatchedFiles", {
+			changes: [{ uri: pathToFileURL(configPath).href, type: 1 }],
+		});
+		await republished;
+		expect(await findTitle()).to.equal("Disable MD013 in .markdownlint.yaml");
+	});
+});
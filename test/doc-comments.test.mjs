@@ -0,0 +1,221 @@
+import { expect } from "chai";
+import { applyFixes } from "markdownlint";
+import { lint } from "markdownlint/promise";
+import { after, before, describe, it } from "mocha";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { extractDocComments } from "../lib/doc-comments.mjs";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+const JS_CONTENT = [
+	"/**",
+	" * Adds two numbers.",
+	" * ## Details",
+	" * Text ",
+	" * @param {number} a First number.",
+	" */",
+	"export function add(a, b) {}",
+	"",
+	"/** Single line */",
+	"",
+].join("\n");
+
+const PYTHON_CONTENT = [
+	'"""Module summary."""',
+	"",
+	"def add(a, b):",
+	'    """Adds two numbers.',
+	"",
+	"    ## Usage",
+	"    Text",
+	'    """',
+	'    return "not a docstring"',
+	"",
+].join("\n");
+
+// Lints the extracted blocks and applies their fixes to the host text.
+async function fixHost(languageId, text) {
+	const hostIssues = [];
+	for (const { text: markdown, sourceMap } of extractDocComments(
+		languageId,
+		text,
+	)) {
+		const results = await lint({ strings: { block: markdown } });
+		hostIssues.push(
+			...results.block
+				.filter(({ ruleNames }) => ruleNames[0] !== "MD041")
+				.map((issue) => sourceMap.toHostIssue(issue)),
+		);
+	}
+	return applyFixes(text, hostIssues);
+}
+
+describe("Doc Comments", () => {
+	describe("extractDocComments", () => {
+		it("should extract JSDoc descriptions", () => {
+			const blocks = extractDocComments("typescript", JS_CONTENT);
+			expect(blocks.map(({ text }) => text)).to.deep.equal([
+				"Adds two numbers.\n## Details\nText \n",
+				"Single line\n",
+			]);
+			expect(
+				blocks[0].sourceMap.toHostRange({
+					start: { line: 2, character: 4 },
+					end: { line: 2, character: 5 },
+				}),
+			).to.deep.equal({
+				start: { line: 3, character: 7 },
+				end: { line: 3, character: 8 },
+			});
+			expect(
+				blocks[1].sourceMap.toHostPosition({ line: 0, character: 0 }),
+			).to.deep.equal({ line: 8, character: 4 });
+		});
+
+		it("should extract Python docstrings without their indentation", () => {
+			const blocks = extractDocComments("python", PYTHON_CONTENT);
+			expect(blocks.map(({ text }) => text)).to.deep.equal([
+				"Module summary.\n",
+				"Adds two numbers.\n\n## Usage\nText\n",
+			]);
+			expect(
+				blocks[1].sourceMap.toHostPosition({ line: 2, character: 0 }),
+			).to.deep.equal({ line: 5, character: 4 });
+		});
+
+		it("should only extract docstrings that follow a definition", () => {
+			const blocks = extractDocComments(
+				"python",
+				[
+					"import os",
+					'QUERY = """',
+					"select a:",
+					'"""',
+					"",
+					"def f(): return 1",
+					"",
+					"x = 1",
+					'"""Not a docstring."""',
+					"",
+					"class Point(",
+					'    Base,  # "base":',
+					"):",
+					'    """Point docstring."""',
+					"",
+					"def g():",
+					"    # Comment",
+					'    """Real docstring."""',
+					"",
+				].join("\n"),
+			);
+			expect(blocks.map(({ text }) => text)).to.deep.equal([
+				"Point docstring.\n",
+				"Real docstring.\n",
+			]);
+		});
+
+		it("should ignore other languages", () => {
+			expect(extractDocComments("markdown", JS_CONTENT)).to.deep.equal([]);
+		});
+	});
+
+	describe("SourceMap", () => {
+		it("should map fixes into JSDoc comments", async () => {
+			expect(await fixHost("javascript", JS_CONTENT)).to.equal(
+				[
+					"/**",
+					" * Adds two numbers.",
+					" *",
+					" * ## Details",
+					" *",
+					" * Text",
+					" * @param {number} a First number.",
+					" */",
+					"export function add(a, b) {}",
+					"",
+					"/** Single line */",
+					"",
+				].join("\n"),
+			);
+		});
+
+		it("should map fixes into Python docstrings", async () => {
+			expect(await fixHost("python", PYTHON_CONTENT)).to.equal(
+				[
+					'"""Module summary."""',
+					"",
+					"def add(a, b):",
+					'    """Adds two numbers.',
+					"",
+					"    ## Usage",
+					"",
+					"    Text",
+					'    """',
+					'    return "not a docstring"',
+					"",
+				].join("\n"),
+			);
+		});
+	});
+
+	describe("lintDocComments setting", function () {
+		this.timeout(10000);
+
+		let client;
+
+		before(async () => {
+			client = new TestLanguageClient({
+				initializationOptions: { lintDocComments: true },
+			});
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should report issues at host positions", async () => {
+			const uri = createTestDocumentUri("doc-comments.js");
+			await client.openTextDocument(uri, JS_CONTENT, "javascript");
+
+			const diagnostics = await client.waitForDiagnosticsArray(uri);
+			expect(
+				diagnostics.map(({ code, range }) => [code, range.start]),
+			).to.deep.equal([
+				["MD009", { line: 3, character: 7 }],
+				["MD022", { line: 2, character: 3 }],
+				["MD022", { line: 2, character: 3 }],
+			]);
+		});
+
+		it("should not offer inline disable comments in code", async () => {
+			const uri = createTestDocumentUri("doc-comments-actions.ts");
+			await client.openTextDocument(
+				uri,
+				"/**\n * #Heading\n */\nexport const a = 1;\n",
+				"typescript",
+			);
+
+			const diagnostics = await client.waitForDiagnosticsArray(uri);
+			const md018 = diagnostics.find(({ code }) => code === "MD018");
+			const actions = await client.requestCodeActions(uri, md018.range, [
+				md018,
+			]);
+			// Inline disable comments would be HTML in the middle of the code.
+			expect(actions.map(({ title }) => title)).to.deep.equal([
+				"Fix: No space after hash on atx style heading (MD018/no-missing-space-atx)",
+				"Fix all auto-fixable markdownlint issues (1)",
+			]);
+		});
+
+		it("should format doc comments in the host document", async () => {
+			const uri = createTestDocumentUri("doc-comments.py");
+			await client.openTextDocument(uri, PYTHON_CONTENT, "python");
+
+			const edits = await client.requestFormatting(uri);
+			const document = TextDocument.create(uri, "python", 1, PYTHON_CONTENT);
+			expect(TextDocument.applyEdits(document, edits)).to.equal(
+				await fixHost("python", PYTHON_CONTENT),
+			);
+		});
+	});
+});
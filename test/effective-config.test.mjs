@@ -0,0 +1,147 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { getOptionsProvenance } from "../lib/config-provenance.mjs";
+import { TestLanguageClient } from "./helpers.mjs";
+
+describe("Effective Configuration", () => {
+	describe("markdownlint/effectiveConfig request", () => {
+		const workspaceDir = path.join(
+			os.tmpdir(),
+			"markdownlint-lsp-effective-config",
+		);
+		const cli2Path = path.join(workspaceDir, ".markdownlint-cli2.jsonc");
+		const markdownlintPath = path.join(
+			workspaceDir,
+			"docs",
+			".markdownlint.json",
+		);
+		const documentUri = pathToFileURL(
+			path.join(workspaceDir, "docs", "guide.md"),
+		).href;
+		let client;
+
+		before(async () => {
+			await fs.rm(workspaceDir, { recursive: true, force: true });
+			await fs.mkdir(path.join(workspaceDir, "docs"), { recursive: true });
+			await fs.writeFile(
+				cli2Path,
+				JSON.stringify({
+					config: { MD013: false, MD041: false },
+					noInlineConfig: true,
+				}),
+			);
+			await fs.writeFile(
+				markdownlintPath,
+				JSON.stringify({ MD013: { line_length: 100 }, MD033: false }),
+			);
+
+			client = new TestLanguageClient({
+				rootUri: pathToFileURL(workspaceDir).href,
+				initializationOptions: {
+					config: { MD033: { allowed_elements: ["br"] } },
+				},
+			});
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+			await fs.rm(workspaceDir, { recursive: true, force: true });
+		});
+
+		it("should return the effective options", async () => {
+			const result = await client.requestEffectiveConfig(documentUri);
+
+			expect(result.uri).to.equal(documentUri);
+			expect(result.options).to.deep.equal({
+				config: {
+					default: true,
+					MD013: { line_length: 100 },
+					MD033: { allowed_elements: ["br"] },
+				},
+				noInlineConfig: true,
+			});
+			expect(result.layers).to.deep.equal([
+				cli2Path,
+				markdownlintPath,
+				"initializationOptions",
+			]);
+		});
+
+		it("should report the source and overridden layers of each rule", async () => {
+			const { provenance } = await client.requestEffectiveConfig(documentUri);
+
+			expect(provenance.config).to.deep.equal({
+				MD013: {
+					source: markdownlintPath,
+					value: { line_length: 100 },
+					overrides: [{ source: cli2Path, value: false }],
+				},
+				MD033: {
+					source: "initializationOptions",
+					value: { allowed_elements: ["br"] },
+					overrides: [{ source: markdownlintPath, value: false }],
+				},
+				default: {
+					source: "initializationOptions",
+					value: true,
+					overrides: [],
+				},
+			});
+			expect(provenance.options).to.deep.equal({
+				noInlineConfig: { source: cli2Path, value: true, overrides: [] },
+			});
+		});
+
+		it("should reject requests without a document", async () => {
+			let error;
+			try {
+				await client.requestEffectiveConfig(undefined);
+			} catch (caught) {
+				error = caught;
+			}
+			expect(error?.message).to.match(/expects a textDocument/);
+		});
+	});
+
+	describe("getOptionsProvenance", () => {
+		it("should omit options that are not in effect", () => {
+			const provenance = getOptionsProvenance(
+				[
+					{
+						source: "a",
+						options: { config: { MD001: false }, ignores: ["x.md"] },
+					},
+				],
+				{ config: { MD001: false } },
+			);
+
+			expect(provenance).to.deep.equal({
+				config: {
+					MD001: { source: "a", value: false, overrides: [] },
+				},
+				options: {},
+			});
+		});
+
+		it("should list overridden layers most recent first", () => {
+			const provenance = getOptionsProvenance(
+				[
+					{ source: "a", options: { config: { MD001: false } } },
+					{ source: "b", options: { config: { MD001: true } } },
+					{ source: "c", options: { config: { MD001: "warning" } } },
+				],
+				{ config: { MD001: "warning" } },
+			);
+
+			expect(provenance.config.MD001.overrides).to.deep.equal([
+				{ source: "b", value: true },
+				{ source: "a", value: false },
+			]);
+		});
+	});
+});
@@ -14,7 +14,7 @@ describe("Fix All Code Actions", () => {
 		await client.stop();
 	});
 
-	it("should return a full-document fix-all edit", async () => {
+	it("should return minimal fix-all edits", async () => {
 		const uri = createTestDocumentUri("fix-all.md");
 		const content = "#Heading\n\nText  ";
 		await client.openTextDocument(uri, content);
@@ -30,8 +30,52 @@ describe("Fix All Code Actions", () => {
 		expect(fixAll).to.exist;
 		expect(fixAll.edit).to.exist;
 
-		const edits = fixAll.edit.changes[uri];
-		expect(edits).to.have.lengthOf(1);
-		expect(edits[0].newText).to.equal("# Heading\n\nText  \n");
+		expect(fixAll.edit.changes[uri]).to.deep.equal([
+			{
+				range: {
+					start: { line: 0, character: 1 },
+					end: { line: 0, character: 1 },
+				},
+				newText: " ",
+			},
+			{
+				range: {
+					start: { line: 2, character: 6 },
+					end: { line: 2, character: 6 },
+				},
+				newText: "\n",
+			},
+		]);
+	});
+
+	it("should leave lines between fixes untouched", async () => {
+		const uri = createTestDocumentUri("fix-all-lines.md");
+		const content = "# Heading\n\n\n\nText\n\n*  Item\n";
+		await client.openTextDocument(uri, content);
+
+		const diagnosticsParams = await client.waitForDiagnostics(uri);
+		const actions = await client.requestCodeActions(
+			uri,
+			{ start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+			diagnosticsParams.diagnostics,
+		);
+
+		const fixAll = actions.find((action) => action.kind === "source.fixAll");
+		expect(fixAll.edit.changes[uri]).to.deep.equal([
+			{
+				range: {
+					start: { line: 2, character: 0 },
+					end: { line: 4, character: 0 },
+				},
+				newText: "",
+			},
+			{
+				range: {
+					start: { line: 6, character: 2 },
+					end: { line: 6, character: 3 },
+				},
+				newText: "",
+			},
+		]);
 	});
 });
@@ -0,0 +1,126 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+const CONTENT = "#Heading\n\nText \n";
+
+const HEADING_EDIT = {
+	range: {
+		start: { line: 0, character: 1 },
+		end: { line: 0, character: 1 },
+	},
+	newText: " ",
+};
+
+const WHITESPACE_EDIT = {
+	range: {
+		start: { line: 2, character: 4 },
+		end: { line: 2, character: 5 },
+	},
+	newText: "",
+};
+
+async function startClient(fixOnSave) {
+	const client = new TestLanguageClient({
+		initializationOptions: fixOnSave === undefined ? {} : { fixOnSave },
+	});
+	await client.start();
+	return client;
+}
+
+describe("Fix On Save", () => {
+	describe("when disabled", () => {
+		let client;
+
+		before(async () => {
+			client = await startClient();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should advertise willSaveWaitUntil", () => {
+			expect(client.capabilities.textDocumentSync).to.include({
+				openClose: true,
+				change: 2,
+				willSaveWaitUntil: true,
+			});
+		});
+
+		it("should not return edits", async () => {
+			const uri = createTestDocumentUri("fix-on-save-disabled.md");
+			await client.openTextDocument(uri, CONTENT);
+
+			const edits = await client.requestWillSaveWaitUntil(uri);
+			expect(edits).to.deep.equal([]);
+		});
+	});
+
+	describe("when enabled", () => {
+		let client;
+
+		before(async () => {
+			client = await startClient(true);
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should return the fix-all edits for the saved text", async () => {
+			const uri = createTestDocumentUri("fix-on-save-enabled.md");
+			await client.openTextDocument(uri, CONTENT);
+
+			const edits = await client.requestWillSaveWaitUntil(uri);
+			expect(edits).to.deep.equal([HEADING_EDIT, WHITESPACE_EDIT]);
+		});
+
+		it("should return no edits for unknown documents", async () => {
+			const uri = createTestDocumentUri("fix-on-save-unknown.md");
+
+			const edits = await client.requestWillSaveWaitUntil(uri);
+			expect(edits).to.deep.equal([]);
+		});
+	});
+
+	describe("with an allow list", () => {
+		let client;
+
+		before(async () => {
+			client = await startClient({ allow: ["whitespace"] });
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should only fix rules matching the allow list", async () => {
+			const uri = createTestDocumentUri("fix-on-save-allow.md");
+			await client.openTextDocument(uri, CONTENT);
+
+			const edits = await client.requestWillSaveWaitUntil(uri);
+			expect(edits).to.deep.equal([WHITESPACE_EDIT]);
+		});
+	});
+
+	describe("with a deny list", () => {
+		let client;
+
+		before(async () => {
+			client = await startClient({ deny: ["no-trailing-spaces"] });
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should skip rules matching the deny list", async () => {
+			const uri = createTestDocumentUri("fix-on-save-deny.md");
+			await client.openTextDocument(uri, CONTENT);
+
+			const edits = await client.requestWillSaveWaitUntil(uri);
+			expect(edits).to.deep.equal([HEADING_EDIT]);
+		});
+	});
+});
@@ -0,0 +1,108 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+const CONTENT = "#Heading\n\nText \n\n#Other\n";
+
+describe("Document Formatting", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient();
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should advertise formatting providers", () => {
+		expect(client.capabilities.documentFormattingProvider).to.equal(true);
+		expect(client.capabilities.documentRangeFormattingProvider).to.equal(true);
+	});
+
+	it("should apply every fixable issue when formatting a document", async () => {
+		const uri = createTestDocumentUri("formatting-document.md");
+		await client.openTextDocument(uri, CONTENT);
+
+		const edits = await client.requestFormatting(uri);
+		expect(edits).to.deep.equal([
+			{
+				range: {
+					start: { line: 0, character: 1 },
+					end: { line: 0, character: 1 },
+				},
+				newText: " ",
+			},
+			{
+				range: {
+					start: { line: 2, character: 4 },
+					end: { line: 2, character: 5 },
+				},
+				newText: "",
+			},
+			{
+				range: {
+					start: { line: 4, character: 1 },
+					end: { line: 4, character: 1 },
+				},
+				newText: " ",
+			},
+		]);
+	});
+
+	it("should only apply fixes within the formatted range", async () => {
+		const uri = createTestDocumentUri("formatting-range.md");
+		await client.openTextDocument(uri, CONTENT);
+
+		const edits = await client.requestRangeFormatting(uri, {
+			start: { line: 2, character: 0 },
+			end: { line: 4, character: 0 },
+		});
+		expect(edits).to.deep.equal([
+			{
+				range: {
+					start: { line: 2, character: 4 },
+					end: { line: 2, character: 5 },
+				},
+				newText: "",
+			},
+		]);
+	});
+
+	it("should return no edits for clean documents", async () => {
+		const uri = createTestDocumentUri("formatting-clean.md");
+		await client.openTextDocument(uri, "# Heading\n\nText\n");
+
+		const edits = await client.requestFormatting(uri);
+		expect(edits).to.deep.equal([]);
+	});
+
+	it("should convert edits to the negotiated position encoding", async () => {
+		const utf8Client = new TestLanguageClient({
+			capabilities: {
+				general: {
+					positionEncodings: ["utf-8"],
+				},
+			},
+		});
+		await utf8Client.start();
+		try {
+			const uri = createTestDocumentUri("formatting-utf8.md");
+			await utf8Client.openTextDocument(uri, "# Café \n");
+
+			const edits = await utf8Client.requestFormatting(uri);
+			expect(edits).to.deep.equal([
+				{
+					range: {
+						start: { line: 0, character: 7 },
+						end: { line: 0, character: 8 },
+					},
+					newText: "",
+				},
+			]);
+		} finally {
+			await utf8Client.stop();
+		}
+	});
+});
@@ -1,11 +1,28 @@
 import { spawn } from "node:child_process";
 import { EventEmitter } from "node:events";
+import * as fs from "node:fs";
+import os from "node:os";
 import * as path from "node:path";
 import { fileURLToPath } from "node:url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// An empty home directory for the server, so user-level configuration on the
+// machine running the tests does not apply. Tests of that configuration pass
+// their own `env`.
+const isolatedHome = fs.mkdtempSync(
+	path.join(os.tmpdir(), "markdownlint-lsp-home-"),
+);
+process.on("exit", () => {
+	fs.rmSync(isolatedHome, { recursive: true, force: true });
+});
+const ISOLATED_HOME_ENV = {
+	HOME: isolatedHome,
+	USERPROFILE: isolatedHome,
+	XDG_CONFIG_HOME: path.join(isolatedHome, ".config"),
+};
+
 class MockLanguageClient extends EventEmitter {
 	constructor(options = {}) {
 		super();
@@ -25,6 +42,8 @@ class MockLanguageClient extends EventEmitter {
 		this.diagnosticsHandlers = [];
 		this.lastDiagnostics = new Map();
 		this.diagnosticsSequence = 0;
+		this.requestHandlers = new Map();
+		this.notifications = [];
 	}
 
 	async sendRequest(method, params) {
@@ -63,8 +82,25 @@ class MockLanguageClient extends EventEmitter {
 		}
 	}
 
+	onRequest(method, handler) {
+		this.requestHandlers.set(method, handler);
+	}
+
+	async handleServerRequest(message) {
+		const handler = this.requestHandlers.get(message.method);
+		const result = handler ? await handler(message.params) : null;
+		this.emit("request", message);
+		this.sendMessage({
+			jsonrpc: "2.0",
+			id: message.id,
+			result: result ?? null,
+		});
+	}
+
 	handleMessage(message) {
-		if (message.id && this.pendingRequests.has(message.id)) {
+		if (message.method && message.id !== undefined) {
+			this.handleServerRequest(message);
+		} else if (message.id && this.pendingRequests.has(message.id)) {
 			const { resolve, reject } = this.pendingRequests.get(message.id);
 			this.pendingRequests.delete(message.id);
 			if (message.error) {
@@ -81,6 +117,8 @@ class MockLanguageClient extends EventEmitter {
 			for (const handler of this.diagnosticsHandlers) {
 				handler(message.params, this.diagnosticsSequence);
 			}
+		} else if (message.method) {
+			this.notifications.push(message);
 		}
 	}
 
@@ -89,7 +127,7 @@ class MockLanguageClient extends EventEmitter {
 		const serverPath = path.join(__dirname, "..", "lib", "index.mjs");
 		this.process = spawn("node", [serverPath, "--stdio"], {
 			cwd: path.join(__dirname, ".."),
-			env: process.env,
+			env: { ...process.env, ...ISOLATED_HOME_ENV, ...this.options.env },
 			stdio: ["pipe", "pipe", "inherit"],
 		});
 
@@ -263,11 +301,11 @@ export class TestLanguageClient {
 		await this.#client.sendNotification(method, params);
 	}
 
-	async openTextDocument(uri, content) {
+	async openTextDocument(uri, content, languageId = "markdown") {
 		await this.#client.sendNotification("textDocument/didOpen", {
 			textDocument: {
 				uri,
-				languageId: "markdown",
+				languageId,
 				version: 1,
 				text: content,
 			},
@@ -305,6 +343,109 @@ export class TestLanguageClient {
 		});
 	}
 
+	async requestWillSaveWaitUntil(uri, reason = 1) {
+		return this.#client.sendRequest("textDocument/willSaveWaitUntil", {
+			textDocument: {
+				uri,
+			},
+			reason,
+		});
+	}
+
+	async requestFormatting(uri) {
+		return this.#client.sendRequest("textDocument/formatting", {
+			textDocument: {
+				uri,
+			},
+			options: { tabSize: 2, insertSpaces: true },
+		});
+	}
+
+	async requestRangeFormatting(uri, range) {
+		return this.#client.sendRequest("textDocument/rangeFormatting", {
+			textDocument: {
+				uri,
+			},
+			range,
+			options: { tabSize: 2, insertSpaces: true },
+		});
+	}
+
+	async executeCommand(command, args = []) {
+		return this.#client.sendRequest("workspace/executeCommand", {
+			command,
+			arguments: args,
+		});
+	}
+
+	onServerRequest(method, handler) {
+		this.#client.onRequest(method, handler);
+	}
+
+	async requestEffectiveConfig(uri) {
+		return this.#client.sendRequest("markdownlint/effectiveConfig", {
+			textDocument: {
+				uri,
+			},
+		});
+	}
+
+	async requestCompletion(uri, position) {
+		return this.#client.sendRequest("textDocument/completion", {
+			textDocument: {
+				uri,
+			},
+			position,
+		});
+	}
+
+	async requestHover(uri, position) {
+		return this.#client.sendRequest("textDocument/hover", {
+			textDocument: {
+				uri,
+			},
+			position,
+		});
+	}
+
+	async requestDocumentDiagnostics(uri, previousResultId) {
+		return this.#client.sendRequest("textDocument/diagnostic", {
+			textDocument: {
+				uri,
+			},
+			previousResultId,
+		});
+	}
+
+	async requestWorkspaceDiagnostics(previousResultIds = []) {
+		return this.#client.sendRequest("workspace/diagnostic", {
+			previousResultIds,
+		});
+	}
+
+	getNotifications(method) {
+		return this.#client.notifications
+			.filter((message) => message.method === method)
+			.map((message) => message.params);
+	}
+
+	async waitForServerRequest(method, timeout = 5000) {
+		return new Promise((resolve, reject) => {
+			const requestHandler = (message) => {
+				if (message.method === method) {
+					clearTimeout(timeoutId);
+					this.#client.off("request", requestHandler);
+					resolve(message.params);
+				}
+			};
+			const timeoutId = setTimeout(() => {
+				this.#client.off("request", requestHandler);
+				reject(new Error(`Timeout waiting for ${method} request`));
+			}, timeout);
+			this.#client.on("request", requestHandler);
+		});
+	}
+
 	async waitForDiagnostics(uri, timeout = 5000) {
 		const minSequence =
 			(this.#client.lastDiagnostics.get(uri)?.sequence ??
@@ -359,6 +500,11 @@ export function createTestDocumentUri(filename) {
 	return `file://${path.join(__dirname, "fixtures", filename)}`;
 }
 
+// Sorted rule codes of diagnostics, for order-independent comparisons.
+export function codes(diagnostics) {
+	return diagnostics.map(({ code }) => code).sort();
+}
+
 export function wait(ms) {
 	return new Promise((resolve) => setTimeout(resolve, ms));
 }
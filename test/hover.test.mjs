@@ -0,0 +1,67 @@
+import * as path from "node:path";
+import { fileURLToPath } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("Rule Documentation Hover", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient();
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should advertise hover support", () => {
+		expect(client.capabilities.hoverProvider).to.equal(true);
+	});
+
+	it("should link diagnostics to the rule documentation", async () => {
+		const uri = createTestDocumentUri("hover-code-description.md");
+		await client.openTextDocument(uri, "#No space\n");
+
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		const md018 = diagnostics.find((diagnostic) => diagnostic.code === "MD018");
+		expect(md018.codeDescription.href).to.match(/doc\/md018\.md$/);
+	});
+
+	it("should show bundled rule documentation when hovering a diagnostic", async () => {
+		const uri = createTestDocumentUri("hover-docs.md");
+		await client.openTextDocument(uri, "#No space\n");
+		await client.waitForDiagnostics(uri);
+
+		const hover = await client.requestHover(uri, { line: 0, character: 0 });
+		expect(hover.contents.kind).to.equal("markdown");
+		expect(hover.contents.value).to.include("`MD018`");
+		expect(hover.contents.value).to.include("Rationale:");
+		expect(hover.contents.value).to.include('"default": true');
+		expect(hover.range.start).to.deep.equal({ line: 0, character: 0 });
+	});
+
+	it("should include the effective configuration for the rule", async () => {
+		const uri = `file://${path.join(__dirname, "fixtures", "configs", "hover-config.md")}`;
+		await client.openTextDocument(uri, "<script>Not allowed</script>\n");
+		await client.waitForDiagnostics(uri);
+
+		const hover = await client.requestHover(uri, { line: 0, character: 1 });
+		expect(hover.contents.value).to.include("`MD033`");
+		expect(hover.contents.value).to.include('"MD033": {');
+		expect(hover.contents.value).to.include('"allowed_elements"');
+	});
+
+	it("should return null away from diagnostics", async () => {
+		const uri = createTestDocumentUri("hover-none.md");
+		await client.openTextDocument(uri, "# Heading\n\n#No space\n");
+		await client.waitForDiagnostics(uri);
+
+		const hover = await client.requestHover(uri, { line: 0, character: 2 });
+		expect(hover).to.equal(null);
+	});
+});
@@ -0,0 +1,140 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+function labels(items) {
+	return (items ?? []).map((item) => item.label);
+}
+
+function summarize(diagnostics) {
+	return diagnostics
+		.filter((diagnostic) => diagnostic.code === undefined)
+		.map(({ range, severity, message }) => ({ range, severity, message }));
+}
+
+describe("Inline Configuration Comments", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient();
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should complete directive names", async () => {
+		const uri = createTestDocumentUri("inline-config/directives.md");
+		await client.openTextDocument(uri, "# Title\n\n<!-- markdownlint-dis\n");
+
+		const items = await client.requestCompletion(uri, {
+			line: 2,
+			character: 21,
+		});
+		expect(labels(items)).to.include.members([
+			"markdownlint-disable",
+			"markdownlint-disable-next-line",
+			"markdownlint-configure-file",
+		]);
+		const item = items.find(
+			(candidate) => candidate.label === "markdownlint-disable",
+		);
+		expect(item.textEdit).to.deep.equal({
+			range: {
+				start: { line: 2, character: 5 },
+				end: { line: 2, character: 21 },
+			},
+			newText: "markdownlint-disable",
+		});
+	});
+
+	it("should complete rule names and aliases after a directive", async () => {
+		const uri = createTestDocumentUri("inline-config/rules.md");
+		await client.openTextDocument(
+			uri,
+			"# Title\n\n<!-- markdownlint-disable MD013 line -->\n",
+		);
+
+		const items = await client.requestCompletion(uri, {
+			line: 2,
+			character: 36,
+		});
+		expect(labels(items)).to.include.members([
+			"MD013",
+			"line-length",
+			"headings",
+		]);
+		const item = items.find((candidate) => candidate.label === "line-length");
+		expect(item.detail).to.equal("MD013");
+		expect(item.textEdit.range).to.deep.equal({
+			start: { line: 2, character: 32 },
+			end: { line: 2, character: 36 },
+		});
+	});
+
+	it("should not complete outside inline configuration comments", async () => {
+		const uri = createTestDocumentUri("inline-config/plain.md");
+		await client.openTextDocument(uri, "# Title\n\n- item\n");
+
+		const items = await client.requestCompletion(uri, {
+			line: 2,
+			character: 1,
+		});
+		expect(items).to.equal(null);
+	});
+
+	it("should report unknown rule names in directives", async () => {
+		const uri = createTestDocumentUri("inline-config/unknown.md");
+		await client.openTextDocument(
+			uri,
+			"# Title\n\n<!-- markdownlint-disable-next-line md013 no-such-rule headings -->\nText\n",
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(summarize(diagnostics)).to.deep.equal([
+			{
+				range: {
+					start: { line: 2, character: 42 },
+					end: { line: 2, character: 54 },
+				},
+				severity: 2,
+				message: 'Unknown rule or tag "no-such-rule".',
+			},
+		]);
+	});
+
+	it("should report malformed JSON in configure-file comments", async () => {
+		const uri = createTestDocumentUri("inline-config/configure-file.md");
+		await client.openTextDocument(
+			uri,
+			'# Title\n\n<!-- markdownlint-configure-file {\n  "MD013": false\n  "MD033": false\n} -->\n',
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(summarize(diagnostics)).to.deep.equal([
+			{
+				range: {
+					start: { line: 4, character: 2 },
+					end: { line: 4, character: 9 },
+				},
+				severity: 1,
+				message: "JSON syntax error: CommaExpected",
+			},
+		]);
+	});
+
+	it("should report unknown rules and invalid values in configure-file comments", async () => {
+		const uri = createTestDocumentUri("inline-config/configure-rules.md");
+		await client.openTextDocument(
+			uri,
+			'# Title\n\n<!-- markdownlint-configure-file { "MD999": false, "MD013": { "line_length": "80" } } -->\n',
+		);
+
+		const { diagnostics } = await client.waitForDiagnostics(uri);
+		expect(summarize(diagnostics).map(({ message }) => message)).to.deep.equal([
+			'Unknown rule or tag "MD999".',
+			"Incorrect type. Expected integer.",
+		]);
+	});
+});
@@ -0,0 +1,217 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { afterEach, before, describe, it } from "mocha";
+import {
+	preprocessMarkdown,
+	resolveLanguageIds,
+} from "../lib/language-preprocessors.mjs";
+import { TestLanguageClient } from "./helpers.mjs";
+
+const MDX_CONTENT = [
+	"---",
+	"author: Someone",
+	"---",
+	'import { Callout } from "./callout.mjs"',
+	"export const meta = {",
+	"  draft: true,",
+	"}",
+	"",
+	"# Page",
+	"",
+	"<Callout",
+	'  title={"a > b"}',
+	">",
+	"  Text inside ",
+	"</Callout>",
+	"",
+	"{/* A comment */}",
+	"",
+	"```jsx",
+	"<Example />",
+	"```",
+	"",
+].join("\n");
+
+const QUARTO_CONTENT = [
+	"# Page",
+	"",
+	"```{r setup, echo=FALSE}",
+	"x <- 1",
+	"```",
+	"",
+	"Text ",
+	"",
+].join("\n");
+
+describe("Language Preprocessors", () => {
+	describe("preprocessMarkdown", () => {
+		it("should mask ESM, JSX and expressions in MDX", () => {
+			const { text, maskedLines } = preprocessMarkdown("mdx", MDX_CONTENT);
+			expect([...maskedLines]).to.deep.equal([4, 5, 6, 7, 11, 12, 13, 15, 17]);
+
+			const lines = text.split("\n");
+			expect(lines).to.have.length(MDX_CONTENT.split("\n").length);
+			expect(lines[3]).to.equal("<!-- -->");
+			expect(lines[13]).to.equal("  Text inside ");
+			// Front matter and fenced code are left alone.
+			expect(lines.slice(0, 3)).to.deep.equal([
+				"---",
+				"author: Someone",
+				"---",
+			]);
+			expect(lines[19]).to.equal("<Example />");
+		});
+
+		it("should keep line endings", () => {
+			const { text } = preprocessMarkdown("mdx", "<Page />\r\n\r\nText\r\n");
+			expect(text).to.equal("<!-- -->\r\n\r\nText\r\n");
+		});
+
+		it("should replace Quarto and R Markdown chunk headers with fences", () => {
+			for (const languageId of ["quarto", "rmd"]) {
+				const { text, maskedLines } = preprocessMarkdown(
+					languageId,
+					QUARTO_CONTENT,
+				);
+				expect(text.split("\n")[2]).to.equal("```r");
+				expect([...maskedLines]).to.deep.equal([3]);
+			}
+		});
+
+		it("should not change Markdown or unknown languages", () => {
+			for (const languageId of ["markdown", "unknown"]) {
+				const { text, maskedLines } = preprocessMarkdown(
+					languageId,
+					MDX_CONTENT,
+				);
+				expect(text).to.equal(MDX_CONTENT);
+				expect(maskedLines.size).to.equal(0);
+			}
+		});
+	});
+
+	describe("resolveLanguageIds", () => {
+		it("should default to Markdown", () => {
+			expect(resolveLanguageIds(undefined)).to.deep.equal(["markdown"]);
+			expect(resolveLanguageIds("mdx")).to.deep.equal(["markdown"]);
+			expect(resolveLanguageIds(["mdx", 1])).to.deep.equal(["mdx"]);
+		});
+	});
+
+	describe("languageIds setting", function () {
+		this.timeout(10000);
+
+		const workspaceDir = path.join(
+			os.tmpdir(),
+			"markdownlint-lsp-language-ids",
+		);
+		const mdxUri = pathToFileURL(path.join(workspaceDir, "page.mdx")).href;
+		const quartoUri = pathToFileURL(path.join(workspaceDir, "page.qmd")).href;
+		let client;
+
+		before(async () => {
+			await fs.rm(workspaceDir, { recursive: true, force: true });
+			await fs.mkdir(workspaceDir, { recursive: true });
+		});
+
+		afterEach(async () => {
+			await client?.stop();
+			client = undefined;
+		});
+
+		async function startClient(initializationOptions, capabilities) {
+			client = new TestLanguageClient({
+				rootUri: pathToFileURL(workspaceDir).href,
+				initializationOptions,
+				capabilities,
+			});
+			await client.start();
+		}
+
+		it("should only lint Markdown by default", async () => {
+			await startClient();
+
+			const published = client.waitForDiagnostics(mdxUri, 1000).then(
+				() => true,
+				() => false,
+			);
+			await client.openTextDocument(mdxUri, MDX_CONTENT, "mdx");
+			expect(await published).to.equal(false);
+		});
+
+		it("should lint allowed languages at their original positions", async () => {
+			await startClient({ languageIds: ["markdown", "mdx", "quarto"] });
+
+			await client.openTextDocument(mdxUri, MDX_CONTENT, "mdx");
+			const mdxDiagnostics = await client.waitForDiagnosticsArray(mdxUri);
+			expect(
+				mdxDiagnostics.map(({ code, range }) => [code, range.start]),
+			).to.deep.equal([["MD009", { line: 13, character: 13 }]]);
+
+			await client.openTextDocument(quartoUri, QUARTO_CONTENT, "quarto");
+			const quartoDiagnostics = await client.waitForDiagnosticsArray(quartoUri);
+			expect(
+				quartoDiagnostics.map(({ code, range }) => [code, range.start]),
+			).to.deep.equal([["MD009", { line: 6, character: 4 }]]);
+		});
+
+		it("should not offer HTML comment directives in MDX", async () => {
+			await startClient({ languageIds: ["markdown", "mdx"] });
+
+			await client.openTextDocument(mdxUri, MDX_CONTENT, "mdx");
+			const [md009] = await client.waitForDiagnosticsArray(mdxUri);
+			const actions = await client.requestCodeActions(mdxUri, md009.range, [
+				md009,
+			]);
+			expect(actions.map(({ title }) => title)).to.deep.equal([
+				"Fix: Trailing spaces (MD009/no-trailing-spaces)",
+				"Fix all auto-fixable markdownlint issues (1)",
+			]);
+
+			const directiveUri = pathToFileURL(
+				path.join(workspaceDir, "directive.mdx"),
+			).href;
+			await client.openTextDocument(
+				directiveUri,
+				"# Title\n\n<!-- markdownlint-dis\n",
+				"mdx",
+			);
+			expect(
+				await client.requestCompletion(directiveUri, {
+					line: 2,
+					character: 21,
+				}),
+			).to.equal(null);
+		});
+
+		it("should lint workspace files of allowed languages", async () => {
+			const readmeUri = pathToFileURL(
+				path.join(workspaceDir, "README.md"),
+			).href;
+			await fs.writeFile(path.join(workspaceDir, "README.md"), "# Readme\n");
+			await fs.writeFile(path.join(workspaceDir, "page.mdx"), MDX_CONTENT);
+			await fs.writeFile(path.join(workspaceDir, "page.qmd"), QUARTO_CONTENT);
+			await startClient(
+				{
+					languageIds: ["markdown", "mdx"],
+					diagnosticMode: "pull",
+					workspaceDiagnostics: true,
+				},
+				{ textDocument: { diagnostic: { dynamicRegistration: false } } },
+			);
+
+			const { items } = await client.requestWorkspaceDiagnostics();
+			expect(items.map(({ uri }) => uri).sort()).to.deep.equal(
+				[mdxUri, readmeUri].sort(),
+			);
+			expect(
+				items
+					.find(({ uri }) => uri === mdxUri)
+					.items.map(({ code, range }) => [code, range.start]),
+			).to.deep.equal([["MD009", { line: 13, character: 13 }]]);
+		});
+	});
+});
@@ -0,0 +1,125 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { toLintOptions } from "../lib/lint-options.mjs";
+import { TestLanguageClient } from "./helpers.mjs";
+
+describe("Lint Options", () => {
+	describe("toLintOptions", () => {
+		it("should pass through lint options and drop command-line options", () => {
+			const { lintOptions, problems, unsupportedKeys } = toLintOptions({
+				config: { MD013: false },
+				customRules: [],
+				noInlineConfig: true,
+				fix: true,
+				noProgress: true,
+				outputFormatters: [],
+				ignores: ["dist"],
+				severity: { MD013: "error" },
+				_configLayers: [],
+			});
+
+			expect(lintOptions).to.include({ noInlineConfig: true });
+			expect(lintOptions.config).to.deep.equal({ MD013: false });
+			expect(lintOptions.customRules).to.deep.equal([]);
+			expect(lintOptions.markdownItFactory).to.be.a("function");
+			expect(Object.keys(lintOptions)).to.have.members([
+				"config",
+				"customRules",
+				"noInlineConfig",
+				"markdownItFactory",
+			]);
+			expect(problems).to.deep.equal([]);
+			expect(unsupportedKeys).to.deep.equal([]);
+		});
+
+		it("should compile frontMatter strings", () => {
+			const { lintOptions } = toLintOptions({ frontMatter: "^%%%$[^]*?^%%%$" });
+			expect(lintOptions.frontMatter).to.be.instanceOf(RegExp);
+			expect(lintOptions.frontMatter.source).to.equal("^%%%$[^]*?^%%%$");
+			expect(lintOptions.frontMatter.flags).to.equal("u");
+		});
+
+		it("should report invalid frontMatter patterns", () => {
+			const { lintOptions, problems } = toLintOptions({ frontMatter: "(" });
+			expect(lintOptions).to.not.have.property("frontMatter");
+			expect(problems).to.have.length(1);
+			expect(problems[0]).to.match(/^Ignoring frontMatter: Invalid regular/);
+		});
+
+		it("should report options that cannot be applied", () => {
+			const { unsupportedKeys } = toLintOptions({
+				globs: ["**/*.md"],
+				unknownOption: true,
+			});
+			expect(unsupportedKeys).to.deep.equal(["globs", "unknownOption"]);
+		});
+
+		it("should report gitignore glob patterns", () => {
+			expect(toLintOptions({ gitignore: true }).problems).to.deep.equal([]);
+			expect(
+				toLintOptions({ gitignore: "**/.gitignore" }).problems,
+			).to.deep.equal([
+				"Ignoring gitignore: glob patterns of ignore files are not supported, only true",
+			]);
+		});
+	});
+
+	describe("from configuration files", function () {
+		this.timeout(10000);
+
+		const workspaceDir = path.join(
+			os.tmpdir(),
+			"markdownlint-lsp-lint-options",
+		);
+		let client;
+
+		before(async () => {
+			await fs.rm(workspaceDir, { recursive: true, force: true });
+			await fs.mkdir(workspaceDir, { recursive: true });
+			await fs.writeFile(
+				path.join(workspaceDir, ".markdownlint-cli2.jsonc"),
+				JSON.stringify({
+					frontMatter: "^%%%\\n[\\s\\S]*?\\n%%%\\n",
+					globs: ["**/*.md"],
+					noProgress: true,
+				}),
+			);
+
+			client = new TestLanguageClient({
+				rootUri: pathToFileURL(workspaceDir).href,
+			});
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+			await fs.rm(workspaceDir, { recursive: true, force: true });
+		});
+
+		it("should apply frontMatter and warn about unsupported options once", async () => {
+			const firstUri = pathToFileURL(path.join(workspaceDir, "first.md")).href;
+			const secondUri = pathToFileURL(
+				path.join(workspaceDir, "second.md"),
+			).href;
+			const content = "%%%\nauthor: Someone\n%%%\n# Page\n\nText \n";
+
+			await client.openTextDocument(firstUri, content);
+			const diagnostics = await client.waitForDiagnosticsArray(firstUri);
+			expect(diagnostics.map(({ code }) => code)).to.deep.equal(["MD009"]);
+
+			await client.openTextDocument(secondUri, content);
+			await client.waitForDiagnosticsArray(secondUri);
+			expect(client.getNotifications("window/showMessage")).to.deep.equal([
+				{
+					type: 2,
+					message:
+						"markdownlint: Ignoring unsupported markdownlint-cli2 options: globs",
+				},
+			]);
+		});
+	});
+});
@@ -0,0 +1,97 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { TestLanguageClient } from "./helpers.mjs";
+
+// Adds a "flag" token after every paragraph containing the given word.
+const PLUGIN_SOURCE = `module.exports = (md, word) => {
+	md.core.ruler.push("flag", (state) => {
+		for (const token of [...state.tokens]) {
+			if (token.type === "inline" && token.content.includes(word)) {
+				const flag = new state.Token("flag", "", 0);
+				flag.map = token.map;
+				state.tokens.push(flag);
+			}
+		}
+	});
+};
+`;
+
+// Reports the tokens added by the plugin, so it only finds anything when the
+// plugin is loaded.
+const RULE_SOURCE = `module.exports = {
+	names: ["flagged"],
+	description: "Flagged by a markdown-it plugin",
+	tags: ["custom"],
+	parser: "markdownit",
+	function(params, onError) {
+		for (const token of params.parsers.markdownit.tokens) {
+			if (token.type === "flag") {
+				onError({ lineNumber: token.map[0] + 1 });
+			}
+		}
+	},
+};
+`;
+
+describe("markdown-it Plugins", function () {
+	this.timeout(10000);
+
+	const workspaceDir = path.join(
+		os.tmpdir(),
+		"markdownlint-lsp-markdown-it-plugins",
+	);
+	const docsDir = path.join(workspaceDir, "docs");
+	let client;
+
+	before(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+		await fs.mkdir(path.join(docsDir, "lint"), { recursive: true });
+		await fs.writeFile(path.join(docsDir, "lint", "plugin.cjs"), PLUGIN_SOURCE);
+		await fs.writeFile(path.join(docsDir, "lint", "rule.cjs"), RULE_SOURCE);
+		await fs.writeFile(
+			path.join(docsDir, ".markdownlint-cli2.jsonc"),
+			JSON.stringify({
+				customRules: ["./lint/rule.cjs"],
+				markdownItPlugins: [["./lint/plugin.cjs", "TODO"]],
+			}),
+		);
+
+		await fs.writeFile(
+			path.join(workspaceDir, ".markdownlint-cli2.jsonc"),
+			JSON.stringify({ customRules: ["./docs/lint/rule.cjs"] }),
+		);
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(workspaceDir).href,
+			initializationOptions: { allowJavaScriptConfig: true },
+		});
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+	});
+
+	it("should pass plugins and their parameters to markdown-it", async () => {
+		const uri = pathToFileURL(path.join(docsDir, "guide", "page.md")).href;
+		await client.openTextDocument(uri, "# Page\n\nDone\n\nTODO later\n");
+
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		expect(
+			diagnostics.map(({ code, range }) => ({ code, line: range.start.line })),
+		).to.deep.equal([{ code: "flagged", line: 4 }]);
+	});
+
+	it("should lint rules requiring markdown-it without plugins", async () => {
+		const uri = pathToFileURL(path.join(workspaceDir, "README.md")).href;
+		await client.openTextDocument(uri, "# Readme\n\nTODO \n");
+
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		expect(diagnostics.map(({ code }) => code)).to.deep.equal(["MD009"]);
+	});
+});
@@ -0,0 +1,41 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { importModule } from "../lib/module-loader.mjs";
+
+describe("Module Loader", () => {
+	describe("importModule", () => {
+		const moduleDir = path.join(os.tmpdir(), "markdownlint-lsp-module-loader");
+		const modulePath = path.join(moduleDir, "rule.mjs");
+
+		before(async () => {
+			await fs.rm(moduleDir, { recursive: true, force: true });
+			await fs.mkdir(moduleDir, { recursive: true });
+			await fs.writeFile(modulePath, 'export default { word: "TODO" };\n');
+		});
+
+		after(async () => {
+			await fs.rm(moduleDir, { recursive: true, force: true });
+		});
+
+		it("should reuse an unchanged module", async () => {
+			const first = await importModule(modulePath);
+			const second = await importModule(modulePath);
+			expect(second).to.equal(first);
+		});
+
+		it("should load the module again once it changes", async () => {
+			const first = await importModule(modulePath);
+			await fs.writeFile(modulePath, 'export default { word: "FIXME" };\n');
+			// File times can be coarse; make sure the change is seen.
+			const later = new Date(Date.now() + 2000);
+			await fs.utimes(modulePath, later, later);
+
+			const second = await importModule(modulePath);
+			expect(second).to.not.equal(first);
+			expect(second).to.deep.equal({ word: "FIXME" });
+		});
+	});
+});
@@ -0,0 +1,122 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+describe("Pull Diagnostics", () => {
+	let client;
+
+	before(async () => {
+		client = new TestLanguageClient({
+			capabilities: {
+				textDocument: {
+					diagnostic: {
+						dynamicRegistration: false,
+						relatedDocumentSupport: false,
+					},
+				},
+				workspace: {
+					diagnostics: {
+						refreshSupport: true,
+					},
+				},
+			},
+			initializationOptions: {
+				diagnosticMode: "pull",
+			},
+		});
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+	});
+
+	it("should advertise a diagnostic provider", () => {
+		expect(client.capabilities.diagnosticProvider).to.deep.equal({
+			identifier: "markdownlint",
+			interFileDependencies: false,
+			workspaceDiagnostics: false,
+		});
+	});
+
+	it("should return a full report for an open document", async () => {
+		const uri = createTestDocumentUri("pull-full.md");
+		await client.openTextDocument(uri, "#No space\n");
+
+		const report = await client.requestDocumentDiagnostics(uri);
+		expect(report.kind).to.equal("full");
+		expect(report.resultId).to.be.a("string");
+		expect(report.items.some((item) => item.code === "MD018")).to.equal(true);
+	});
+
+	it("should report unchanged results for the same document version", async () => {
+		const uri = createTestDocumentUri("pull-unchanged.md");
+		await client.openTextDocument(uri, "#No space\n");
+
+		const first = await client.requestDocumentDiagnostics(uri);
+		const second = await client.requestDocumentDiagnostics(uri, first.resultId);
+		expect(second).to.deep.equal({
+			kind: "unchanged",
+			resultId: first.resultId,
+		});
+
+		await client.changeTextDocument(uri, 2, [
+			{
+				range: {
+					start: { line: 0, character: 0 },
+					end: { line: 0, character: 9 },
+				},
+				text: "# With space",
+			},
+		]);
+
+		const third = await client.requestDocumentDiagnostics(uri, first.resultId);
+		expect(third.kind).to.equal("full");
+		expect(third.resultId).to.not.equal(first.resultId);
+		expect(third.items).to.have.lengthOf(0);
+	});
+
+	it("should not push diagnostics in pull mode", async () => {
+		const uri = createTestDocumentUri("pull-no-push.md");
+		await client.openTextDocument(uri, "#No space\n");
+
+		let pushed = false;
+		try {
+			await client.waitForDiagnostics(uri, 500);
+			pushed = true;
+		} catch {
+			// Expected: nothing is published
+		}
+		expect(pushed).to.equal(false);
+	});
+
+	it("should offer code actions after a pull", async () => {
+		const uri = createTestDocumentUri("pull-actions.md");
+		await client.openTextDocument(uri, "#No space\n");
+
+		const report = await client.requestDocumentDiagnostics(uri);
+		const actions = await client.requestCodeActions(
+			uri,
+			report.items[0].range,
+			report.items,
+		);
+		expect(actions.some((action) => action.kind === "quickfix")).to.equal(true);
+	});
+
+	it("should ask the client to refresh when configuration files change", async () => {
+		const uri = createTestDocumentUri("pull-refresh.md");
+		await client.openTextDocument(uri, "#No space\n");
+		const first = await client.requestDocumentDiagnostics(uri);
+
+		const refreshPromise = client.waitForServerRequest(
+			"workspace/diagnostic/refresh",
+		);
+		await client.sendRawNotification("workspace/didChangeWatchedFiles", {
+			changes: [],
+		});
+		await refreshPromise;
+
+		const second = await client.requestDocumentDiagnostics(uri, first.resultId);
+		expect(second.kind).to.equal("full");
+	});
+});
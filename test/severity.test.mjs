@@ -0,0 +1,85 @@
+import * as fs from "node:fs/promises";
+import * as path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import mergeOptions from "../lib/merge-options.mjs";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("Rule Severity", () => {
+	const tempDir = path.join(__dirname, "fixtures", "temp-severity");
+	let client;
+
+	before(async () => {
+		await fs.rm(tempDir, { recursive: true, force: true });
+		await fs.mkdir(tempDir, { recursive: true });
+		await fs.writeFile(
+			path.join(tempDir, ".markdownlint-cli2.jsonc"),
+			JSON.stringify({
+				severity: {
+					MD009: "error",
+				},
+			}),
+		);
+
+		client = new TestLanguageClient({
+			initializationOptions: {
+				severity: {
+					"no-missing-space-atx": "error",
+					whitespace: "hint",
+					MD010: "warning",
+					MD047: "off",
+				},
+			},
+		});
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(tempDir, { recursive: true, force: true });
+	});
+
+	it("should merge severity maps from both options objects", () => {
+		const merged = mergeOptions(
+			{ severity: { MD001: "error", MD013: "hint" } },
+			{ severity: { MD013: "off" } },
+		);
+		expect(merged.severity).to.deep.equal({ MD001: "error", MD013: "off" });
+	});
+
+	it("should map rules, aliases and tags to diagnostic severities", async () => {
+		const uri = createTestDocumentUri("severity.md");
+		await client.openTextDocument(uri, "#No space\n\nTrailing \n\n\tTab");
+
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		const severityOf = (code) =>
+			diagnostics.find((diagnostic) => diagnostic.code === code)?.severity;
+
+		expect(severityOf("MD018")).to.equal(1);
+		expect(severityOf("MD009")).to.equal(4);
+		expect(severityOf("MD010")).to.equal(2);
+	});
+
+	it("should drop diagnostics for rules turned off", async () => {
+		const uri = createTestDocumentUri("severity-off.md");
+		await client.openTextDocument(uri, "# Heading\n\nNo trailing newline");
+
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		expect(diagnostics.some((diagnostic) => diagnostic.code === "MD047")).to.be
+			.false;
+	});
+
+	it("should read severity from markdownlint-cli2 configuration files", async () => {
+		const uri = pathToFileURL(path.join(tempDir, "severity.md")).href;
+		await client.openTextDocument(uri, "Trailing \n");
+
+		const diagnostics = await client.waitForDiagnosticsArray(uri);
+		const md009 = diagnostics.find((diagnostic) => diagnostic.code === "MD009");
+		// The rule name from the file wins over the "whitespace" tag in settings.
+		expect(md009.severity).to.equal(1);
+	});
+});
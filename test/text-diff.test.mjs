@@ -0,0 +1,61 @@
+import { expect } from "chai";
+import { describe, it } from "mocha";
+import { computeTextEdits, toMinimalEdit } from "../lib/text-diff.mjs";
+
+function applyEdits(text, edits) {
+	let result = text;
+	for (const edit of [...edits].reverse()) {
+		result =
+			result.slice(0, edit.offset) +
+			edit.content +
+			result.slice(edit.offset + edit.length);
+	}
+	return result;
+}
+
+describe("Text Diff", () => {
+	it("should return no edits for identical text", () => {
+		expect(computeTextEdits("a\nb\n", "a\nb\n")).to.deep.equal([]);
+	});
+
+	it("should narrow a changed line to the differing characters", () => {
+		expect(
+			computeTextEdits("#Heading\nText\n", "# Heading\nText\n"),
+		).to.deep.equal([{ offset: 1, length: 0, content: " " }]);
+	});
+
+	it("should produce separate edits for separate hunks", () => {
+		const original = "a\nb\nc\nd\ne\n";
+		const modified = "a\nB\nc\nd\ne\nf\n";
+		const edits = computeTextEdits(original, modified);
+		expect(edits).to.deep.equal([
+			{ offset: 2, length: 1, content: "B" },
+			{ offset: 10, length: 0, content: "f\n" },
+		]);
+		expect(applyEdits(original, edits)).to.equal(modified);
+	});
+
+	it("should handle inserted and deleted lines", () => {
+		const original = "one\n\n\n\ntwo\nthree";
+		const modified = "zero\none\n\ntwo\nthree\n";
+		expect(applyEdits(original, computeTextEdits(original, modified))).to.equal(
+			modified,
+		);
+	});
+
+	it("should handle CRLF line endings", () => {
+		const original = "#A\r\n\r\n\r\nB\r\n";
+		const modified = "# A\r\n\r\nB\r\n";
+		expect(applyEdits(original, computeTextEdits(original, modified))).to.equal(
+			modified,
+		);
+	});
+
+	it("should reduce a replacement to its differing region", () => {
+		expect(toMinimalEdit("abcdef", "abXYef", 10)).to.deep.equal({
+			offset: 12,
+			length: 2,
+			content: "XY",
+		});
+	});
+});
@@ -0,0 +1,163 @@
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { createTestDocumentUri, TestLanguageClient } from "./helpers.mjs";
+
+const LONG_LINE = "word ".repeat(20).trim();
+
+function unusedDirectiveDiagnostics(diagnostics) {
+	return diagnostics.filter((diagnostic) =>
+		diagnostic.message.startsWith("Unused markdownlint-"),
+	);
+}
+
+describe("Unused Disable Directives", () => {
+	describe("when disabled", () => {
+		let client;
+
+		before(async () => {
+			client = new TestLanguageClient();
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should not report unused directives", async () => {
+			const uri = createTestDocumentUri("unused-directives/disabled.md");
+			await client.openTextDocument(
+				uri,
+				"# Title\n\n<!-- markdownlint-disable-next-line MD013 -->\nShort\n",
+			);
+
+			const { diagnostics } = await client.waitForDiagnostics(uri);
+			expect(unusedDirectiveDiagnostics(diagnostics)).to.deep.equal([]);
+		});
+	});
+
+	describe("when enabled", () => {
+		let client;
+
+		before(async () => {
+			client = new TestLanguageClient({
+				initializationOptions: { reportUnusedDisableDirectives: true },
+			});
+			await client.start();
+		});
+
+		after(async () => {
+			await client.stop();
+		});
+
+		it("should report directives that suppress no issues", async () => {
+			const uri = createTestDocumentUri("unused-directives/report.md");
+			await client.openTextDocument(
+				uri,
+				[
+					"# Title",
+					"",
+					"<!-- markdownlint-disable-next-line MD013 -->",
+					LONG_LINE,
+					"",
+					"<!-- markdownlint-disable-next-line MD013 -->",
+					"Short",
+					"",
+					"Text <!-- markdownlint-disable-line MD033 -->",
+					"",
+				].join("\n"),
+			);
+
+			const { diagnostics } = await client.waitForDiagnostics(uri);
+			expect(unusedDirectiveDiagnostics(diagnostics)).to.deep.equal([
+				{
+					range: {
+						start: { line: 5, character: 0 },
+						end: { line: 5, character: 45 },
+					},
+					severity: 4,
+					message:
+						"Unused markdownlint-disable-next-line directive (no issues suppressed)",
+					source: "markdownlint",
+					tags: [1],
+				},
+				{
+					range: {
+						start: { line: 8, character: 5 },
+						end: { line: 8, character: 45 },
+					},
+					severity: 4,
+					message:
+						"Unused markdownlint-disable-line directive (no issues suppressed)",
+					source: "markdownlint",
+					tags: [1],
+				},
+			]);
+		});
+
+		it("should not report directives that suppress issues", async () => {
+			const uri = createTestDocumentUri("unused-directives/used.md");
+			await client.openTextDocument(
+				uri,
+				`# Title\n\n<!-- markdownlint-disable MD013 -->\n${LONG_LINE}\n<!-- markdownlint-disable-line MD033 --><br>\n`,
+			);
+
+			const { diagnostics } = await client.waitForDiagnostics(uri);
+			expect(unusedDirectiveDiagnostics(diagnostics)).to.deep.equal([]);
+		});
+
+		it("should offer quick fixes that remove unused directives", async () => {
+			const uri = createTestDocumentUri("unused-directives/fix.md");
+			await client.openTextDocument(
+				uri,
+				"# Title\n\n<!-- markdownlint-disable MD013 -->\nText <!-- markdownlint-disable-line MD001 -->\n",
+			);
+
+			const { diagnostics } = await client.waitForDiagnostics(uri);
+			const unused = unusedDirectiveDiagnostics(diagnostics);
+			expect(unused).to.have.length(2);
+
+			const actions = await client.requestCodeActions(
+				uri,
+				{
+					start: { line: 2, character: 0 },
+					end: { line: 3, character: 45 },
+				},
+				unused,
+			);
+			const removals = actions.filter((action) =>
+				action.title.startsWith("Remove unused"),
+			);
+			expect(
+				removals.map((action) => ({
+					title: action.title,
+					edits: action.edit.changes[uri],
+				})),
+			).to.deep.equal([
+				{
+					title: "Remove unused markdownlint-disable directive",
+					edits: [
+						{
+							range: {
+								start: { line: 2, character: 0 },
+								end: { line: 3, character: 0 },
+							},
+							newText: "",
+						},
+					],
+				},
+				{
+					title: "Remove unused markdownlint-disable-line directive",
+					edits: [
+						{
+							range: {
+								start: { line: 3, character: 4 },
+								end: { line: 3, character: 45 },
+							},
+							newText: "",
+						},
+					],
+				},
+			]);
+		});
+	});
+});
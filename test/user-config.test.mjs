@@ -0,0 +1,134 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, afterEach, before, describe, it } from "mocha";
+import { codes, TestLanguageClient } from "./helpers.mjs";
+
+const CONTENT = "# Page\n\n<br>\n\nText \n";
+
+describe("User Configuration", function () {
+	this.timeout(10000);
+
+	const baseDir = path.join(os.tmpdir(), "markdownlint-lsp-user-config");
+	const homeDir = path.join(baseDir, "home");
+	const configHome = path.join(baseDir, "xdg");
+	const workspaceDir = path.join(baseDir, "workspace");
+	const xdgConfigPath = path.join(
+		configHome,
+		"markdownlint",
+		".markdownlint.json",
+	);
+	const rcPath = path.join(homeDir, ".markdownlintrc");
+	const outsideUri = pathToFileURL(
+		path.join(baseDir, "outside", "page.md"),
+	).href;
+	const workspaceUri = pathToFileURL(path.join(workspaceDir, "page.md")).href;
+	let client;
+
+	before(async () => {
+		await fs.rm(baseDir, { recursive: true, force: true });
+		await fs.mkdir(path.dirname(xdgConfigPath), { recursive: true });
+		await fs.mkdir(homeDir, { recursive: true });
+		await fs.mkdir(workspaceDir, { recursive: true });
+
+		await fs.writeFile(
+			xdgConfigPath,
+			JSON.stringify({ MD009: false, MD033: false }),
+		);
+		await fs.writeFile(rcPath, JSON.stringify({ MD009: false }));
+		await fs.writeFile(
+			path.join(workspaceDir, ".markdownlint-cli2.jsonc"),
+			JSON.stringify({ config: { MD033: true } }),
+		);
+	});
+
+	afterEach(async () => {
+		await client?.stop();
+		client = undefined;
+	});
+
+	after(async () => {
+		await fs.rm(baseDir, { recursive: true, force: true });
+	});
+
+	async function startClient({ env, initializationOptions } = {}) {
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(workspaceDir).href,
+			env: { HOME: homeDir, XDG_CONFIG_HOME: configHome, ...env },
+			initializationOptions,
+		});
+		await client.start();
+	}
+
+	it("should apply the XDG user config beneath workspace configs", async () => {
+		await startClient();
+
+		await client.openTextDocument(outsideUri, CONTENT);
+		expect(
+			codes(await client.waitForDiagnosticsArray(outsideUri)),
+		).to.deep.equal([]);
+
+		await client.openTextDocument(workspaceUri, CONTENT);
+		expect(
+			codes(await client.waitForDiagnosticsArray(workspaceUri)),
+		).to.deep.equal(["MD033"]);
+
+		const { layers, provenance } =
+			await client.requestEffectiveConfig(workspaceUri);
+		expect(layers[0]).to.equal(xdgConfigPath);
+		expect(provenance.config.MD009).to.deep.equal({
+			source: xdgConfigPath,
+			value: false,
+			overrides: [],
+		});
+	});
+
+	it("should fall back to ~/.markdownlintrc", async () => {
+		await startClient({
+			env: { XDG_CONFIG_HOME: path.join(baseDir, "missing") },
+		});
+
+		await client.openTextDocument(outsideUri, CONTENT);
+		expect(
+			codes(await client.waitForDiagnosticsArray(outsideUri)),
+		).to.deep.equal(["MD033"]);
+		const { layers } = await client.requestEffectiveConfig(outsideUri);
+		expect(layers[0]).to.equal(rcPath);
+	});
+
+	it("should find the user config again when it is deleted", async () => {
+		const xdgConfig = await fs.readFile(xdgConfigPath, "utf8");
+		await startClient();
+		try {
+			await client.openTextDocument(outsideUri, CONTENT);
+			await client.waitForDiagnosticsArray(outsideUri);
+
+			await fs.rm(xdgConfigPath);
+			const published = client.waitForDiagnosticsArray(outsideUri);
+			await client.sendRawNotification("workspace/didChangeWatchedFiles", {
+				changes: [{ uri: pathToFileURL(xdgConfigPath).href, type: 3 }],
+			});
+
+			expect(codes(await published)).to.deep.equal(["MD033"]);
+			const { layers } = await client.requestEffectiveConfig(outsideUri);
+			expect(layers[0]).to.equal(rcPath);
+		} finally {
+			await fs.writeFile(xdgConfigPath, xdgConfig);
+		}
+	});
+
+	it("should use the configFile setting instead of the user config", async () => {
+		const configFile = path.join(homeDir, "team-style.yaml");
+		await fs.writeFile(configFile, "MD033: false\n");
+		await startClient({ initializationOptions: { configFile } });
+
+		await client.openTextDocument(outsideUri, CONTENT);
+		expect(
+			codes(await client.waitForDiagnosticsArray(outsideUri)),
+		).to.deep.equal(["MD009"]);
+		const { layers } = await client.requestEffectiveConfig(outsideUri);
+		expect(layers[0]).to.equal(configFile);
+	});
+});
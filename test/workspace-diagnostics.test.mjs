@@ -0,0 +1,115 @@
+import * as fs from "node:fs/promises";
+import os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { expect } from "chai";
+import { after, before, describe, it } from "mocha";
+import { TestLanguageClient } from "./helpers.mjs";
+
+describe("Workspace Diagnostics", () => {
+	const workspaceDir = path.join(
+		os.tmpdir(),
+		"markdownlint-lsp-workspace-diagnostics",
+	);
+	let client;
+
+	before(async () => {
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+		await fs.mkdir(path.join(workspaceDir, "docs", "generated"), {
+			recursive: true,
+		});
+		await fs.mkdir(path.join(workspaceDir, "node_modules", "pkg"), {
+			recursive: true,
+		});
+		await fs.writeFile(path.join(workspaceDir, "README.md"), "#No space\n");
+		await fs.writeFile(
+			path.join(workspaceDir, "docs", "guide.markdown"),
+			"# Guide\n",
+		);
+		await fs.writeFile(
+			path.join(workspaceDir, "docs", "generated", "api.md"),
+			"#No space\n",
+		);
+		await fs.writeFile(
+			path.join(workspaceDir, "node_modules", "pkg", "README.md"),
+			"#No space\n",
+		);
+		await fs.writeFile(
+			path.join(workspaceDir, ".markdownlintignore"),
+			"docs/generated/\n",
+		);
+
+		client = new TestLanguageClient({
+			rootUri: pathToFileURL(workspaceDir).href,
+			capabilities: {
+				textDocument: {
+					diagnostic: {
+						dynamicRegistration: false,
+					},
+				},
+			},
+			initializationOptions: {
+				diagnosticMode: "pull",
+				workspaceDiagnostics: true,
+			},
+		});
+		await client.start();
+	});
+
+	after(async () => {
+		await client.stop();
+		await fs.rm(workspaceDir, { recursive: true, force: true });
+	});
+
+	it("should advertise workspace diagnostics when enabled", () => {
+		expect(
+			client.capabilities.diagnosticProvider.workspaceDiagnostics,
+		).to.equal(true);
+	});
+
+	it("should report diagnostics for Markdown files that are not open", async () => {
+		const { items } = await client.requestWorkspaceDiagnostics();
+		const reportsByUri = new Map(items.map((item) => [item.uri, item]));
+
+		const readme = reportsByUri.get(
+			pathToFileURL(path.join(workspaceDir, "README.md")).href,
+		);
+		expect(readme.kind).to.equal("full");
+		expect(readme.items.some((item) => item.code === "MD018")).to.equal(true);
+
+		const guide = reportsByUri.get(
+			pathToFileURL(path.join(workspaceDir, "docs", "guide.markdown")).href,
+		);
+		expect(guide.items).to.have.lengthOf(0);
+
+		const ignored = reportsByUri.get(
+			pathToFileURL(path.join(workspaceDir, "docs", "generated", "api.md"))
+				.href,
+		);
+		expect(ignored.items).to.have.lengthOf(0);
+
+		expect(
+			[...reportsByUri.keys()].some((uri) => uri.includes("node_modules")),
+		).to.equal(false);
+	});
+
+	it("should report unchanged files using previous result ids", async () => {
+		const first = await client.requestWorkspaceDiagnostics();
+		const second = await client.requestWorkspaceDiagnostics(
+			first.items.map(({ uri, resultId }) => ({ uri, value: resultId })),
+		);
+
+		expect(second.items).to.have.lengthOf(first.items.length);
+		expect(second.items.every((item) => item.kind === "unchanged")).to.equal(
+			true,
+		);
+	});
+
+	it("should skip documents that are open in the editor", async () => {
+		const uri = pathToFileURL(path.join(workspaceDir, "README.md")).href;
+		await client.openTextDocument(uri, "#No space\n");
+
+		const { items } = await client.requestWorkspaceDiagnostics();
+		expect(items.some((item) => item.uri === uri)).to.equal(false);
+	});
+});